@@ -1,24 +1,5 @@
 // Background script for iNaturalist Link Manager
 
-// Handle browser action button click
-browser.browserAction.onClicked.addListener(async (tab) => {
-  // Check if we're on an iNaturalist observation page
-  if (!tab.url || !tab.url.match(/inaturalist\.org\/observations\/\d+/)) {
-    // Not on an observation page - open sidebar instead
-    browser.sidebarAction.open();
-    return;
-  }
-
-  // On an observation page - show popup to choose type
-  // For now, default to TODO. We'll add a popup later.
-  try {
-    await Storage.addTodo(tab.url);
-    showNotification('Added to TODOs', tab.url);
-  } catch (error) {
-    showNotification('Error', error.message);
-  }
-});
-
 // Handle keyboard shortcuts
 browser.commands.onCommand.addListener(async (command) => {
   const tabs = await browser.tabs.query({ active: true, currentWindow: true });
@@ -34,49 +15,187 @@ browser.commands.onCommand.addListener(async (command) => {
     const metadata = await browser.tabs.sendMessage(tab.id, { action: 'getMetadata' });
 
     if (command === 'quick-add-todo') {
-      await Storage.addTodo(tab.url, '', metadata);
-      showNotification('Added to TODOs', metadata.species || tab.url);
+      ItemEnricher.enrichInBackground(await Storage.addTodo(tab.url, '', metadata));
+      showNotification('Added to TODOs', metadata.species || tab.url, tab.url);
     } else if (command === 'quick-add-research') {
-      await Storage.addResearch(tab.url, metadata);
-      showNotification('Added to Research', metadata.species || tab.url);
+      ItemEnricher.enrichInBackground(await Storage.addResearch(tab.url, metadata));
+      showNotification('Added to Research', metadata.species || tab.url, tab.url);
+    }
+  } catch (error) {
+    showNotification('Error', error.message);
+  }
+});
+
+// Right-click entries for observation links, images and selected text on any site
+ContextMenus.create();
+
+browser.menus.onShown.addListener((info) => {
+  ContextMenus.update(info).catch(err => console.warn('[iNat Links] Menu update failed:', err));
+});
+
+browser.menus.onClicked.addListener(async (info) => {
+  const type = ContextMenus.ITEMS[info.menuItemId];
+  const target = type && ContextMenus.resolve(info);
+  if (!target) return;
+
+  try {
+    const { item, added } = await ContextMenus.save(type, target);
+    const title = item.species || `Observation #${item.observationId}`;
+    if (added) {
+      showNotification(`Added to ${type === 'todo' ? 'TODOs' : 'Research'}`, title, item.url);
+    } else {
+      showNotification(target.note ? 'Added to note' : 'Already saved', title, item.url);
     }
   } catch (error) {
     showNotification('Error', error.message);
   }
 });
 
+// Fill in Research details for converted items that were never enriched
+function enrichConverted(items) {
+  const missing = items.filter(item => !item.enrichedAt);
+  if (missing.length > 0) {
+    ItemEnricher.enrich(missing).catch(err => console.warn('[iNat Links] Enrichment failed:', err));
+  }
+  return items;
+}
+
 // Handle messages from content scripts and sidebar
 browser.runtime.onMessage.addListener(async (message, sender) => {
   switch (message.action) {
     case 'addTodo':
-      return Storage.addTodo(message.url, message.note, message.metadata || {});
+      return Storage.addTodo(message.url, message.note, message.metadata || {})
+        .then(item => ItemEnricher.enrichInBackground(item));
 
     case 'addResearch':
-      return Storage.addResearch(message.url, message.metadata);
+      return Storage.addResearch(message.url, message.metadata || {})
+        .then(item => ItemEnricher.enrichInBackground(item));
+
+    case 'refreshItems':
+      return (async () => {
+        const data = await Storage.getData();
+        const items = message.ids ? data.items.filter(item => message.ids.includes(item.id)) : data.items;
+        return ItemEnricher.enrich(items);
+      })();
 
     case 'markComplete':
       return Storage.markComplete(message.id);
 
+    case 'markReviewed':
+      return Storage.markReviewed(message.id);
+
     case 'deleteItem':
       return Storage.deleteItem(message.id);
 
+    case 'reopen':
+      return Storage.reopen(message.id);
+
+    case 'completeItems':
+      return Storage.completeItems(message.ids);
+
+    case 'reopenItems':
+      return Storage.reopenItems(message.ids);
+
+    case 'tagItems':
+      return Storage.tagItems(message.ids, message.tags);
+
+    case 'moveItems':
+      return Storage.moveItems(message.ids, message.type)
+        .then(items => enrichConverted(items));
+
+    case 'convertItem':
+      return Storage.convertItem(message.id, message.type)
+        .then(item => enrichConverted([item])[0]);
+
+    case 'deleteItems':
+      return Storage.deleteItems(message.ids);
+
+    case 'restoreItems':
+      return Storage.restoreItems(message.ids);
+
+    case 'getTrash':
+      return Storage.getTrash();
+
+    case 'restoreItem':
+      return Storage.restoreItem(message.id);
+
+    case 'purgeTrash':
+      return Storage.purgeTrash(message.id);
+
     case 'updateNote':
       return Storage.updateNote(message.id, message.note);
 
+    case 'updateItem':
+      return Storage.updateItem(message.id, message.changes);
+
+    case 'getTags':
+      return Storage.getTags(message.type);
+
+    case 'getLists':
+      return Storage.getLists();
+
+    case 'createList':
+      return Storage.createList(message.name);
+
+    case 'renameList':
+      return Storage.renameList(message.id, message.name);
+
+    case 'deleteList':
+      return Storage.deleteList(message.id);
+
+    case 'getTaxa':
+      return Taxa.get(message.ids);
+
     case 'getData':
       return Storage.getData();
 
+    case 'getSavedObservations':
+      return Storage.getSavedObservations();
+
+    case 'findItem':
+      return Storage.findByUrl(message.url);
+
     case 'getByType':
       return Storage.getByType(message.type);
 
     case 'search':
-      return Storage.search(message.query);
+      return Storage.search(message.query, message.filters);
+
+    case 'getSavedSearches':
+      return Storage.getSavedSearches();
+
+    case 'saveSearch':
+      return Storage.saveSearch(message.name, message.query);
+
+    case 'deleteSavedSearch':
+      return Storage.deleteSavedSearch(message.id);
 
     case 'exportData':
-      return Storage.exportData();
+      return Storage.exportData({ ids: message.ids });
+
+    case 'exportResearch':
+      return Storage.exportResearch(message.format, {
+        columns: message.columns,
+        query: message.query,
+        tags: message.tags,
+        listId: message.listId,
+        ids: message.ids
+      });
+
+    case 'previewImport':
+      return Storage.previewImport(message.jsonString, message.mode);
 
     case 'importData':
-      return Storage.importData(message.jsonString);
+      return Storage.importData(message.jsonString, message.options || {});
+
+    case 'undoImport':
+      return Storage.undoImport();
+
+    case 'getBackup':
+      return Storage.getBackup();
+
+    case 'restoreBackup':
+      return Storage.restoreBackup();
 
     case 'getNotifications':
       return (async () => {
@@ -92,11 +211,37 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
         };
       })();
 
+    case 'getCachedNotifications':
+      return NotificationCache.getCached();
+
+    case 'syncNotifications':
+      return NotificationCache.sync();
+
+    case 'loadMoreNotifications':
+      return NotificationCache.loadMore();
+
     case 'markNotificationRead':
-      return NotificationsAPI.markViewed(message.notificationId);
+      return NotificationCache.markRead(message.notificationIds || [message.notificationId]);
+
+    case 'markNotificationUnread':
+      return NotificationCache.markUnread(message.notificationIds || [message.notificationId]);
 
     case 'markAllNotificationsRead':
-      return NotificationsAPI.markAllViewed();
+      return message.category
+        ? NotificationCache.markCategoryRead(message.category)
+        : NotificationCache.markAllRead();
+
+    case 'replyToNotification':
+      return NotificationCache.reply(message.notificationId, message.body);
+
+    case 'identifyFromNotification':
+      return NotificationCache.identify(message.notificationId, message.taxon, message.body);
+
+    case 'autocompleteTaxa':
+      return NotificationsAPI.autocompleteTaxa(message.query);
+
+    case 'getUnreadCounts':
+      return ToolbarBadge.getUnreadCounts();
 
     case 'openSidebarNotifications':
       browser.sidebarAction.open();
@@ -116,9 +261,92 @@ browser.runtime.onMessage.addListener(async (message, sender) => {
   }
 });
 
-// Simple notification helper
-function showNotification(title, message) {
-  // Use a brief console log for now
-  // Could enhance with browser.notifications API later
+// Announce new notifications on the desktop
+NotificationCache.onNewNotifications = (notifications) => {
+  DesktopNotifier.notifyNew(notifications).catch(err => console.warn('[iNat Links] Desktop notification failed:', err));
+};
+
+browser.notifications.onClicked.addListener((notificationId) => {
+  DesktopNotifier.handleClick(notificationId);
+});
+
+browser.notifications.onClosed.addListener((notificationId) => {
+  DesktopNotifier.handleClosed(notificationId);
+});
+
+// Keep the notification cache fresh in the background
+async function scheduleNotificationSync() {
+  const interval = await Settings.get('syncIntervalMinutes');
+  browser.alarms.create(NotificationCache.SYNC_ALARM, { periodInMinutes: interval });
+}
+
+browser.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === NotificationCache.SYNC_ALARM) {
+    NotificationCache.sync().catch(err => console.warn('[iNat Links] Notification sync failed:', err));
+  } else if (alarm.name === ItemEnricher.REFRESH_ALARM) {
+    ItemEnricher.refreshStale().catch(err => console.warn('[iNat Links] Item refresh failed:', err));
+  } else if (alarm.name === Storage.TRASH_PURGE_ALARM) {
+    purgeExpiredTrash();
+  } else if (alarm.name === Reminders.ALARM) {
+    Reminders.check().catch(err => console.warn('[iNat Links] Reminder check failed:', err));
+  }
+});
+
+// Empty out items that have sat in the trash longer than the configured period
+async function purgeExpiredTrash() {
+  try {
+    const days = await Settings.get('trashRetentionDays');
+    await Storage.purgeExpiredTrash(days);
+  } catch (err) {
+    console.warn('[iNat Links] Trash purge failed:', err);
+  }
+}
+
+// Periodically refresh saved items from the API (catches up on anything never enriched)
+browser.alarms.create(ItemEnricher.REFRESH_ALARM, {
+  delayInMinutes: 1,
+  periodInMinutes: ItemEnricher.REFRESH_CHECK_MINUTES
+});
+
+browser.alarms.create(Storage.TRASH_PURGE_ALARM, {
+  delayInMinutes: 1,
+  periodInMinutes: 60
+});
+
+browser.alarms.create(Reminders.ALARM, {
+  delayInMinutes: 1,
+  periodInMinutes: Reminders.CHECK_MINUTES
+});
+
+scheduleNotificationSync();
+NotificationCache.sync().catch(err => console.warn('[iNat Links] Notification sync failed:', err));
+
+// Keep the toolbar badge in step with the cache (syncs and mark-as-read both write it)
+browser.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[NotificationCache.STORAGE_KEY]) {
+    ToolbarBadge.refresh().catch(err => console.warn('[iNat Links] Badge update failed:', err));
+  }
+});
+
+ToolbarBadge.refresh().catch(err => console.warn('[iNat Links] Badge update failed:', err));
+
+// Apply settings changes made in the options page
+Settings.onChange((settings, changedKeys) => {
+  if (changedKeys.includes('syncIntervalMinutes')) {
+    scheduleNotificationSync();
+  }
+  if (changedKeys.some(key => key.startsWith('badge'))) {
+    ToolbarBadge.refresh().catch(err => console.warn('[iNat Links] Badge update failed:', err));
+  }
+});
+
+// Carry over badge colors and desktop notification preferences saved before the options page
+Settings.migrateLegacy().catch(err => console.warn('[iNat Links] Settings migration failed:', err));
+
+// Confirm quick-add results and errors with a desktop notification
+function showNotification(title, message, url = null) {
   console.log(`[iNat Links] ${title}: ${message}`);
+  DesktopNotifier.show(title, message, { url }).catch(err => {
+    console.warn('[iNat Links] Desktop notification failed:', err);
+  });
 }
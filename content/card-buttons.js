@@ -0,0 +1,181 @@
+// TODO / Research buttons on observation cards in iNaturalist list views
+// (Explore grid, user observation lists, Identify grid and modal), so observations
+// can be saved without opening them. Saving goes through the background addTodo/addResearch actions.
+
+const CardButtons = {
+  // Storage.STORAGE_KEY; watched so saved state follows changes made elsewhere
+  DATA_KEY: 'inat_links_data',
+
+  // Containers that hold a single observation
+  CARD_SELECTORS: [
+    '[class*="ObservationsGridCell"]',
+    '[class*="ObservationsGridItem"]',
+    '.ObservationModal .obs-modal-header',
+    '.observation.mini',
+    '.observations.list .observation',
+    'tr.observation'
+  ],
+
+  OBSERVATION_LINK: /\/observations\/(\d+)(?:[/?#]|$)/,
+
+  // observationId -> 'todo' | 'research'
+  saved: {},
+  observer: null,
+  scanTimer: null,
+
+  async init() {
+    const settings = await Settings.getAll();
+    Settings.onChange((newSettings, changedKeys) => {
+      if (!changedKeys.includes('cardButtons')) return;
+      if (newSettings.cardButtons) {
+        this.start();
+      } else {
+        this.stop();
+      }
+    });
+
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === 'local' && changes[this.DATA_KEY] && this.observer) {
+        this.loadSaved();
+      }
+    });
+
+    if (settings.cardButtons) {
+      this.start();
+    }
+  },
+
+  async start() {
+    await this.loadSaved();
+
+    // List views are React apps that render and re-render cards as you scroll and filter
+    this.observer = new MutationObserver(() => this.scheduleScan());
+    this.observer.observe(document.body, { childList: true, subtree: true });
+    this.scan();
+  },
+
+  stop() {
+    this.observer?.disconnect();
+    this.observer = null;
+    document.querySelectorAll('.inat-ext-card-actions').forEach(el => el.remove());
+    document.querySelectorAll('.inat-ext-card').forEach(card => {
+      card.classList.remove('inat-ext-card', 'inat-ext-card-positioned');
+    });
+  },
+
+  async loadSaved() {
+    try {
+      this.saved = await browser.runtime.sendMessage({ action: 'getSavedObservations' });
+    } catch (error) {
+      console.warn('[iNat Links] Could not load saved observations:', error);
+    }
+    document.querySelectorAll('.inat-ext-card-actions').forEach(el => this.updateState(el));
+  },
+
+  scheduleScan() {
+    clearTimeout(this.scanTimer);
+    this.scanTimer = setTimeout(() => this.scan(), 250);
+  },
+
+  // Add buttons to every card that doesn't have them yet
+  scan() {
+    const currentId = location.pathname.match(/^\/observations\/(\d+)/)?.[1];
+    const selector = this.CARD_SELECTORS.join(',');
+
+    for (const card of document.querySelectorAll(selector)) {
+      // Grid items wrap grid cells on some pages; only the outermost card gets buttons
+      if (card.parentElement?.closest(selector)) continue;
+
+      const observationId = this.findObservationId(card);
+      // The observation page itself already has the toolbar button and shortcuts
+      if (!observationId || observationId === currentId) continue;
+
+      // Cards get reused for other observations (e.g. next/previous in the Identify modal)
+      const existing = card.querySelector(':scope > .inat-ext-card-actions');
+      if (existing) {
+        if (existing.dataset.observationId !== observationId) {
+          existing.dataset.observationId = observationId;
+          this.updateState(existing);
+        }
+        continue;
+      }
+
+      card.appendChild(this.createActions(observationId));
+      card.classList.add('inat-ext-card');
+      if (getComputedStyle(card).position === 'static') {
+        card.classList.add('inat-ext-card-positioned');
+      }
+    }
+  },
+
+  findObservationId(card) {
+    const links = card.matches('a[href]') ? [card] : card.querySelectorAll('a[href*="/observations/"]');
+    for (const link of links) {
+      const match = link.getAttribute('href').match(this.OBSERVATION_LINK);
+      if (match) return match[1];
+    }
+    return card.dataset.observationId || null;
+  },
+
+  createActions(observationId) {
+    const actions = document.createElement('div');
+    actions.className = 'inat-ext-card-actions';
+    actions.dataset.observationId = observationId;
+    actions.innerHTML = `
+      <button class="inat-ext-card-btn" data-type="todo">TODO</button>
+      <button class="inat-ext-card-btn" data-type="research">Research</button>
+    `;
+
+    // Cards are links or open the modal on click; keep our clicks to ourselves
+    actions.addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const button = e.target.closest('.inat-ext-card-btn');
+      if (button && !button.disabled) {
+        this.save(actions, button.dataset.type);
+      }
+    });
+
+    this.updateState(actions);
+    return actions;
+  },
+
+  // Show whether the card's observation is saved, and as what
+  updateState(actions) {
+    const type = this.saved[actions.dataset.observationId];
+    actions.classList.toggle('inat-ext-saved', !!type);
+
+    actions.querySelectorAll('.inat-ext-card-btn').forEach(button => {
+      button.disabled = !!type;
+      button.classList.toggle('inat-ext-active', button.dataset.type === type);
+      button.title = type
+        ? `Already saved as ${type === 'todo' ? 'TODO' : 'Research'}`
+        : `Save as ${button.dataset.type === 'todo' ? 'TODO' : 'Research'}`;
+    });
+  },
+
+  async save(actions, type) {
+    const observationId = actions.dataset.observationId;
+    const url = `https://www.inaturalist.org/observations/${observationId}`;
+
+    actions.querySelectorAll('.inat-ext-card-btn').forEach(button => { button.disabled = true; });
+    try {
+      if (type === 'todo') {
+        await browser.runtime.sendMessage({ action: 'addTodo', url, note: '', metadata: {} });
+      } else {
+        await browser.runtime.sendMessage({ action: 'addResearch', url, metadata: {} });
+      }
+      this.saved[observationId] = type;
+    } catch (error) {
+      console.warn('[iNat Links] Could not save observation:', error);
+      actions.title = error.message;
+    }
+    this.updateState(actions);
+  }
+};
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => CardButtons.init());
+} else {
+  CardButtons.init();
+}
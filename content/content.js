@@ -1,4 +1,5 @@
-// Content script for extracting metadata from iNaturalist observation pages
+// Content script for iNaturalist observation pages: extracts metadata for saving,
+// and shows whether the observation is already saved
 
 // Listen for metadata requests from background script
 browser.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -204,3 +205,209 @@ function extractThumbnailFromDOM() {
   }
   return null;
 }
+
+// Saved indicator: a small banner on observations that are already saved, with inline
+// note/tag editing, complete and remove. Kept live as storage changes (e.g. from the sidebar)
+
+// Storage.STORAGE_KEY
+const SAVED_DATA_KEY = 'inat_links_data';
+
+let bannerItem = null;
+let bannerEditing = false;
+let bannerCollapsed = false;
+// Set after Remove, so the banner can offer Undo until the item is restored
+let bannerRemovedId = null;
+
+async function initSavedBanner() {
+  const settings = await Settings.getAll();
+  if (!getPageObservationId()) return;
+
+  let enabled = settings.savedBanner;
+  Settings.onChange((newSettings, changedKeys) => {
+    if (!changedKeys.includes('savedBanner')) return;
+    enabled = newSettings.savedBanner;
+    if (enabled) {
+      loadSavedBanner();
+    } else {
+      removeSavedBanner();
+    }
+  });
+
+  browser.storage.onChanged.addListener((changes, areaName) => {
+    if (enabled && areaName === 'local' && changes[SAVED_DATA_KEY] && !bannerEditing) {
+      loadSavedBanner();
+    }
+  });
+
+  if (enabled) {
+    loadSavedBanner();
+  }
+}
+
+function getPageObservationId() {
+  return location.pathname.match(/^\/observations\/(\d+)/)?.[1] || null;
+}
+
+async function loadSavedBanner() {
+  try {
+    bannerItem = await browser.runtime.sendMessage({ action: 'findItem', url: location.href });
+  } catch (error) {
+    console.warn('[iNat Links] Could not check saved state:', error);
+    return;
+  }
+
+  if (bannerItem) {
+    bannerRemovedId = null;
+    renderSavedBanner();
+  } else if (!bannerRemovedId) {
+    removeSavedBanner();
+  }
+}
+
+function removeSavedBanner() {
+  document.getElementById('inat-ext-saved-banner')?.remove();
+}
+
+function getSavedBanner() {
+  let banner = document.getElementById('inat-ext-saved-banner');
+  if (!banner) {
+    banner = document.createElement('div');
+    banner.id = 'inat-ext-saved-banner';
+    banner.className = 'inat-ext-saved-banner';
+    document.body.appendChild(banner);
+  }
+  return banner;
+}
+
+function renderSavedBanner() {
+  const item = bannerItem;
+  const banner = getSavedBanner();
+  const escape = NotificationUI.escapeHtml;
+  const typeLabel = item.type === 'todo' ? 'TODO' : 'Research';
+  const tags = item.tags || [];
+
+  banner.classList.toggle('inat-ext-collapsed', bannerCollapsed);
+  banner.classList.toggle('inat-ext-completed', !!item.completed);
+
+  let body;
+  if (bannerEditing) {
+    body = `
+      <textarea class="inat-ext-banner-note-input" placeholder="Add a note...">${escape(item.note || '')}</textarea>
+      <input type="text" class="inat-ext-banner-tags-input" placeholder="Tags, comma separated" value="${escape(tags.join(', '))}">
+      <div class="inat-ext-banner-actions">
+        <button class="inat-ext-banner-btn" data-action="cancel">Cancel</button>
+        <button class="inat-ext-banner-btn inat-ext-primary" data-action="save">Save</button>
+      </div>
+    `;
+  } else {
+    body = `
+      ${item.note
+        ? `<div class="inat-ext-banner-note">${escape(item.note)}</div>`
+        : '<div class="inat-ext-banner-note inat-ext-empty">No note</div>'}
+      ${tags.length ? `<div class="inat-ext-banner-tags">${tags.map(tag => `<span>#${escape(tag)}</span>`).join(' ')}</div>` : ''}
+      <div class="inat-ext-banner-actions">
+        <button class="inat-ext-banner-btn" data-action="edit">Edit</button>
+        ${item.type === 'todo'
+          ? `<button class="inat-ext-banner-btn" data-action="${item.completed ? 'reopen' : 'complete'}">${item.completed ? 'Reopen' : 'Complete'}</button>`
+          : ''}
+        <button class="inat-ext-banner-btn" data-action="remove">Remove</button>
+      </div>
+    `;
+  }
+
+  banner.innerHTML = `
+    <div class="inat-ext-banner-header">
+      <span class="inat-ext-banner-title">Saved as ${typeLabel}${item.completed ? ' &middot; completed' : ''}</span>
+      <button class="inat-ext-banner-toggle" data-action="toggle" title="${bannerCollapsed ? 'Expand' : 'Collapse'}">${bannerCollapsed ? '+' : '&minus;'}</button>
+    </div>
+    <div class="inat-ext-banner-body">${body}</div>
+  `;
+
+  wireBannerActions(banner);
+
+  if (bannerEditing) {
+    const textarea = banner.querySelector('.inat-ext-banner-note-input');
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+  }
+}
+
+function renderRemovedBanner() {
+  const banner = getSavedBanner();
+  banner.classList.remove('inat-ext-collapsed', 'inat-ext-completed');
+  banner.innerHTML = `
+    <div class="inat-ext-banner-header">
+      <span class="inat-ext-banner-title">Moved to trash</span>
+      <button class="inat-ext-banner-btn" data-action="undo">Undo</button>
+    </div>
+  `;
+  wireBannerActions(banner);
+}
+
+function wireBannerActions(banner) {
+  banner.querySelectorAll('[data-action]').forEach(button => {
+    button.addEventListener('click', () => handleBannerAction(button.dataset.action));
+  });
+}
+
+async function handleBannerAction(action) {
+  const banner = getSavedBanner();
+  const id = bannerItem?.id;
+
+  try {
+    switch (action) {
+      case 'toggle':
+        bannerCollapsed = !bannerCollapsed;
+        renderSavedBanner();
+        return;
+
+      case 'edit':
+        bannerEditing = true;
+        renderSavedBanner();
+        return;
+
+      case 'cancel':
+        bannerEditing = false;
+        renderSavedBanner();
+        return;
+
+      case 'save': {
+        const note = banner.querySelector('.inat-ext-banner-note-input').value.trim();
+        const tags = banner.querySelector('.inat-ext-banner-tags-input').value.split(',');
+        bannerEditing = false;
+        bannerItem = await browser.runtime.sendMessage({ action: 'updateItem', id, changes: { note, tags } });
+        renderSavedBanner();
+        return;
+      }
+
+      case 'complete':
+        await browser.runtime.sendMessage({ action: 'markComplete', id });
+        return;
+
+      case 'reopen':
+        await browser.runtime.sendMessage({ action: 'reopen', id });
+        return;
+
+      case 'remove':
+        // Goes to the trash like a sidebar delete
+        await browser.runtime.sendMessage({ action: 'deleteItem', id });
+        bannerRemovedId = id;
+        bannerItem = null;
+        renderRemovedBanner();
+        return;
+
+      case 'undo':
+        // The storage change brings the full banner back
+        await browser.runtime.sendMessage({ action: 'restoreItem', id: bannerRemovedId });
+        return;
+    }
+  } catch (error) {
+    alert('iNat Links: ' + error.message);
+  }
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', () => initSavedBanner());
+} else {
+  initSavedBanner();
+}
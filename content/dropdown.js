@@ -6,10 +6,16 @@ const NotificationsDropdown = {
   controller: null,
   debugPanel: null,
   currentTab: 'mention',
+  settings: null,
+  hookTimer: null,
   bypassNextClick: false,
 
   // Initialize - find and hook the notification bell
-  init() {
+  async init() {
+    this.settings = await Settings.getAll();
+    this.currentTab = this.settings.defaultNotificationTab;
+    Settings.onChange((settings, changedKeys) => this.applySettings(settings, changedKeys));
+
     this.controller = new NotificationController({
       onUpdate: () => this.render(),
       onError: (type) => {
@@ -18,14 +24,36 @@ const NotificationsDropdown = {
         }
       }
     });
-    this.findAndHookBell();
-    // Re-check periodically for SPA navigation
-    setInterval(() => this.findAndHookBell(), 2000);
+    this.startBellHook();
 
     // Try to refresh JWT on page load
     this.refreshJWT();
   },
 
+  startBellHook() {
+    clearInterval(this.hookTimer);
+    this.findAndHookBell();
+    // Re-check periodically for SPA navigation
+    this.hookTimer = setInterval(() => this.findAndHookBell(), this.settings.bellHookIntervalMs);
+  },
+
+  // Pick up changes from the options page without a reload
+  applySettings(settings, changedKeys) {
+    this.settings = settings;
+    if (changedKeys.includes('bellHookIntervalMs')) {
+      this.startBellHook();
+    }
+    if (changedKeys.includes('defaultNotificationTab') && !this.dropdown) {
+      this.currentTab = settings.defaultNotificationTab;
+    }
+    if (changedKeys.includes('hijackBell') && !settings.hijackBell) {
+      this.close();
+    }
+    if (changedKeys.includes('dropdownPageSize')) {
+      this.render();
+    }
+  },
+
   async refreshJWT() {
     try {
       if (typeof iNatAuth !== 'undefined') {
@@ -60,6 +88,9 @@ const NotificationsDropdown = {
   },
 
   handleBellClick(e) {
+    // Bell hijacking turned off - let iNat's own dropdown open
+    if (!this.settings.hijackBell) return;
+
     if (this.bypassNextClick) {
       this.bypassNextClick = false;
       return;
@@ -86,7 +117,6 @@ const NotificationsDropdown = {
     // Create dropdown
     this.dropdown = document.createElement('div');
     this.dropdown.className = 'inat-ext-dropdown';
-    this.dropdown.innerHTML = this.renderLoading();
 
     // Position near bell
     const rect = bellElement.getBoundingClientRect();
@@ -105,7 +135,12 @@ const NotificationsDropdown = {
     };
     document.addEventListener('keydown', this.escHandler);
 
-    // Fetch notifications
+    // Show what we already have, then refresh from the background cache
+    if (this.controller.store.size > 0) {
+      this.render();
+    } else {
+      this.dropdown.innerHTML = this.renderLoading();
+    }
     await this.loadNotifications();
   },
 
@@ -126,17 +161,12 @@ const NotificationsDropdown = {
       this.debugPanel.remove();
       this.debugPanel = null;
     }
-    // Reset state
-    this.controller.store.clear();
-    this.controller.debugData = null;
+    // Notifications stay in the store so the next open renders instantly
     this.debugRawMap = null;
   },
 
   async loadNotifications() {
-    if (this.dropdown) {
-      this.dropdown.innerHTML = this.renderLoading();
-    }
-    await this.controller.load({ page: 1, perPage: 50 });
+    await this.controller.load();
   },
 
   render() {
@@ -148,12 +178,13 @@ const NotificationsDropdown = {
     }
 
     const counts = this.controller.store.getCounts();
-    const filtered = this.controller.store.getByCategory(this.currentTab);
+    const filtered = this.controller.store.getByCategory(this.currentTab).slice(0, this.settings.dropdownPageSize);
 
     this.dropdown.innerHTML = `
       <div class="inat-ext-dropdown-header">
         <span class="inat-ext-dropdown-title">Notifications</span>
         <span class="inat-ext-dropdown-count">${this.controller.store.size} total</span>
+        <button class="inat-ext-mark-all-btn" ${filtered.some(n => n.viewed !== true) ? '' : 'disabled'}>Mark all read</button>
       </div>
       <div class="inat-ext-tabs">
         <button class="inat-ext-tab ${this.currentTab === 'mention' ? 'active' : ''}" data-tab="mention">
@@ -219,6 +250,7 @@ const NotificationsDropdown = {
           <span class="inat-ext-preview-ids">${obs.identificationsCount} IDs</span>${qualityLabel ? ` | <span class="inat-ext-preview-grade">${NotificationUI.escapeHtml(qualityLabel)}</span>` : ''}
         </div>
         <a class="inat-ext-preview-link" href="${NotificationUI.escapeHtml(n.observationUrl)}" target="_blank">View \u00BB</a>
+        ${NotificationUI.renderIdActions(n)}
       </div>
       ${previewPhoto ? `<img class="inat-ext-preview-photo" src="${previewPhoto}" alt="">` : ''}
     `;
@@ -233,10 +265,22 @@ const NotificationsDropdown = {
       });
     });
 
-    // Notification clicks
-    this.dropdown.querySelectorAll('.inat-ext-notification').forEach(el => {
-      el.addEventListener('click', () => this.handleNotificationClick(el));
-    });
+    // Notification clicks (mark read + open) and read toggles
+    NotificationUI.attachReadHandlers(this.dropdown, this.controller, (n, el) => this.handleNotificationClick(el));
+
+    // Inline replies and Agree / Suggest ID; on iNat pages an expired sign-in can be renewed from the session
+    const formOptions = {
+      refreshAuth: () => iNatAuth.getJWT(true),
+      rerender: () => this.render()
+    };
+    NotificationUI.attachReplyHandlers(this.dropdown, this.controller, formOptions);
+    NotificationUI.attachIdentifyHandlers(this.dropdown, this.controller, formOptions);
+
+    // Mark all read in the current tab
+    const markAllBtn = this.dropdown.querySelector('.inat-ext-mark-all-btn');
+    if (markAllBtn) {
+      markAllBtn.addEventListener('click', () => this.controller.markAllRead(this.currentTab));
+    }
 
     // Hover preview popout
     const preview = this.dropdown.querySelector('.inat-ext-preview');
@@ -246,20 +290,29 @@ const NotificationsDropdown = {
       notifMap[n.id] = n;
     }
 
+    // Hiding waits a moment so the pointer can move onto the preview and use its buttons
+    let hideTimer = null;
+    const hidePreview = () => {
+      hideTimer = setTimeout(() => { preview.style.display = 'none'; }, 200);
+    };
+    preview.addEventListener('mouseenter', () => clearTimeout(hideTimer));
+    preview.addEventListener('mouseleave', hidePreview);
+    preview.addEventListener('click', (e) => e.stopPropagation());
+
     this.dropdown.querySelectorAll('.inat-ext-notification[data-has-obs="true"]').forEach(el => {
       el.addEventListener('mouseenter', () => {
         const n = notifMap[el.dataset.id];
         if (!n) return;
+        clearTimeout(hideTimer);
         preview.innerHTML = this.buildPreviewHtml(n);
+        NotificationUI.attachIdentifyHandlers(preview, this.controller, formOptions);
         // Position to the left of the dropdown, aligned with this row
         const dropdownRect = this.dropdown.getBoundingClientRect();
         const rowRect = el.getBoundingClientRect();
         preview.style.display = 'flex';
         preview.style.top = `${rowRect.top - dropdownRect.top}px`;
       });
-      el.addEventListener('mouseleave', () => {
-        preview.style.display = 'none';
-      });
+      el.addEventListener('mouseleave', hidePreview);
     });
 
     // Open in sidebar
@@ -0,0 +1,85 @@
+// Tracks what changed on saved observations since they were saved or last reviewed
+// Used by Storage when API metadata is applied, and by the sidebar to describe changes
+
+const ChangeTracker = {
+  // Capture the fields we watch from an item's current metadata
+  snapshot(item) {
+    return {
+      identificationsCount: item.identificationsCount ?? 0,
+      commentsCount: item.commentsCount ?? 0,
+      communityTaxonId: item.communityTaxonId ?? null,
+      species: item.species || null,
+      qualityGrade: item.qualityGrade || null,
+      takenAt: new Date().toISOString()
+    };
+  },
+
+  // Compare an item's current metadata against a snapshot
+  diff(snapshot, item) {
+    const changes = [];
+    const current = this.snapshot(item);
+
+    if (current.identificationsCount > snapshot.identificationsCount) {
+      changes.push({ type: 'identifications', from: snapshot.identificationsCount, to: current.identificationsCount });
+    }
+    if (current.commentsCount > snapshot.commentsCount) {
+      changes.push({ type: 'comments', from: snapshot.commentsCount, to: current.commentsCount });
+    }
+    if (current.communityTaxonId !== snapshot.communityTaxonId) {
+      changes.push({ type: 'taxon', from: snapshot.species, to: current.species });
+    }
+    if (current.qualityGrade !== snapshot.qualityGrade) {
+      changes.push({ type: 'qualityGrade', from: snapshot.qualityGrade, to: current.qualityGrade });
+    }
+
+    return changes;
+  },
+
+  // Record changes on an item after fresh metadata was merged into it
+  // The first time an item is seen with API data becomes its baseline
+  update(item) {
+    if (!item.reviewSnapshot) {
+      item.reviewSnapshot = this.snapshot(item);
+      item.changes = [];
+      return;
+    }
+
+    const hadChanges = item.changes?.length > 0;
+    item.changes = this.diff(item.reviewSnapshot, item);
+    if (item.changes.length > 0 && !hadChanges) {
+      item.changedAt = new Date().toISOString();
+    }
+  },
+
+  // Accept the current state as the new baseline
+  markReviewed(item) {
+    item.reviewSnapshot = this.snapshot(item);
+    item.changes = [];
+    item.changedAt = null;
+    item.reviewedAt = new Date().toISOString();
+  },
+
+  // Human-readable lines for a list of changes
+  summarize(changes = []) {
+    const formatGrade = grade => (grade ? grade.replace(/_/g, ' ') : 'none');
+
+    return changes.map(change => {
+      switch (change.type) {
+        case 'identifications': {
+          const added = change.to - change.from;
+          return `${added} new ID${added === 1 ? '' : 's'}`;
+        }
+        case 'comments': {
+          const added = change.to - change.from;
+          return `${added} new comment${added === 1 ? '' : 's'}`;
+        }
+        case 'taxon':
+          return `Community taxon: ${change.from || 'none'} → ${change.to || 'none'}`;
+        case 'qualityGrade':
+          return `Quality grade: ${formatGrade(change.from)} → ${formatGrade(change.to)}`;
+        default:
+          return change.type;
+      }
+    });
+  }
+};
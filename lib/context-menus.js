@@ -0,0 +1,79 @@
+// Right-click menu entries for saving iNaturalist observations from links, images and
+// selected text on any site. There's no observation page to read details from, so saved
+// items are filled in from the API afterwards (see item-enricher.js)
+
+const ContextMenus = {
+  ITEMS: {
+    'save-todo': 'todo',
+    'save-research': 'research'
+  },
+  CONTEXTS: ['link', 'image', 'selection'],
+  OBSERVATION_URL: /inaturalist\.org\/observations\/(\d+)/,
+
+  // Entries start hidden; update() reveals them when a right-click points at an observation
+  // (menus.onShown still fires for hidden entries)
+  create() {
+    for (const [id, type] of Object.entries(this.ITEMS)) {
+      browser.menus.create({
+        id,
+        title: `Save observation as ${this.getLabel(type)}`,
+        contexts: this.CONTEXTS,
+        visible: false
+      });
+    }
+  },
+
+  // Show or hide the entries for what was right-clicked
+  async update(info) {
+    const target = this.resolve(info);
+    await Promise.all(Object.entries(this.ITEMS).map(([id, type]) =>
+      browser.menus.update(id, {
+        visible: !!target,
+        title: target ? this.getTitle(type, target) : `Save observation as ${this.getLabel(type)}`
+      })
+    ));
+    browser.menus.refresh();
+  },
+
+  // The observation a right-click points at, with any selected text as its note
+  // A clicked link or image must itself be an observation; only a plain selection
+  // falls back to a URL inside it, then the page itself
+  resolve(info) {
+    const selection = (info.selectionText || '').trim();
+    const target = info.linkUrl || info.srcUrl;
+    const sources = target ? [target] : [selection, info.pageUrl];
+
+    for (const source of sources) {
+      const match = source?.match(this.OBSERVATION_URL);
+      if (!match) continue;
+
+      // A selected URL is the target, not the note; anything around it still is
+      const note = source === selection
+        ? selection.replace(/\S*inaturalist\.org\/observations\/\d+\S*/, '').trim()
+        : selection;
+
+      return {
+        observationId: match[1],
+        url: `https://www.inaturalist.org/observations/${match[1]}`,
+        note
+      };
+    }
+    return null;
+  },
+
+  getTitle(type, target) {
+    const title = `Save observation #${target.observationId} as ${this.getLabel(type)}`;
+    return target.note ? `${title} with the selection as note` : title;
+  },
+
+  getLabel(type) {
+    return type === 'todo' ? 'TODO' : 'Research';
+  },
+
+  // Save the observation; if it's already saved, any selected text is added to its note
+  // Returns { item, added }
+  async save(type, target) {
+    const { item, added } = await Storage.saveOrAppendNote(type, target.url, target.note);
+    return { item: added ? ItemEnricher.enrichInBackground(item) : item, added };
+  }
+};
@@ -0,0 +1,138 @@
+// Desktop notifications for iNaturalist Link Manager
+// Announces newly arrived notifications from the cache and confirms quick-add actions
+
+const DesktopNotifier = {
+  // More new notifications than this at once are grouped into a summary
+  GROUP_THRESHOLD: 3,
+  ICON: 'icons/icon-96.svg',
+  SUMMARY_URL: 'https://www.inaturalist.org/home',
+
+  // Desktop notification ID -> URL to open when clicked
+  clickTargets: new Map(),
+
+  // Build per-category opt-in and quiet hours from Settings
+  async getPrefs() {
+    const settings = await Settings.getAll();
+    return {
+      mention: settings.desktopMentions,
+      comment: settings.desktopComments,
+      identification: settings.desktopIdentifications,
+      // Times are local 'HH:MM'; the range may wrap past midnight
+      quietHours: {
+        enabled: settings.quietHoursEnabled,
+        start: settings.quietHoursStart,
+        end: settings.quietHoursEnd
+      }
+    };
+  },
+
+  // Check whether a time falls inside the quiet hours range
+  isQuietTime(quietHours, now = new Date()) {
+    if (!quietHours?.enabled) return false;
+
+    const toMinutes = (hhmm) => {
+      const [h, m] = String(hhmm).split(':').map(Number);
+      return (h || 0) * 60 + (m || 0);
+    };
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+    const current = now.getHours() * 60 + now.getMinutes();
+
+    if (start === end) return false;
+    if (start < end) return current >= start && current < end;
+    // Range wraps past midnight (e.g. 22:00-07:00)
+    return current >= start || current < end;
+  },
+
+  // Announce newly arrived notifications, respecting preferences
+  async notifyNew(notifications) {
+    const prefs = await this.getPrefs();
+    if (this.isQuietTime(prefs.quietHours)) return;
+
+    const wanted = notifications.filter(n => prefs[n.category]);
+    if (wanted.length === 0) return;
+
+    if (wanted.length > this.GROUP_THRESHOLD) {
+      await this.showSummary(wanted);
+      return;
+    }
+
+    for (const notif of wanted) {
+      await this.show(this.buildTitle(notif), this.buildMessage(notif), {
+        url: notif.observationUrl,
+        id: `inat-notif-${notif.id}`
+      });
+    }
+  },
+
+  // One notification summarizing a burst of arrivals
+  async showSummary(notifications) {
+    const counts = { mention: 0, comment: 0, identification: 0 };
+    for (const notif of notifications) {
+      counts[notif.category]++;
+    }
+
+    const parts = [];
+    if (counts.mention) parts.push(`${counts.mention} mention${counts.mention === 1 ? '' : 's'}`);
+    if (counts.comment) parts.push(`${counts.comment} comment${counts.comment === 1 ? '' : 's'}`);
+    if (counts.identification) parts.push(`${counts.identification} ID${counts.identification === 1 ? '' : 's'}`);
+
+    // Everything on one observation - link straight to it
+    const observationIds = new Set(notifications.map(n => n.observationId));
+    const url = observationIds.size === 1 ? notifications[0].observationUrl : this.SUMMARY_URL;
+
+    await this.show(`${notifications.length} new iNaturalist notifications`, parts.join(', '), {
+      url,
+      id: 'inat-notif-summary'
+    });
+  },
+
+  buildTitle(notif) {
+    const name = notif.user?.name || notif.user?.login || 'Someone';
+    if (notif.category === 'mention') return `${name} mentioned you`;
+    if (notif.category === 'comment') return `${name} commented`;
+    if (notif.taxon?.name) return `${name} added ID: ${notif.taxon.commonName || notif.taxon.name}`;
+    return `${name} added an ID`;
+  },
+
+  buildMessage(notif) {
+    const obsTaxon = notif.observation?.taxon;
+    const on = obsTaxon ? `on ${obsTaxon.commonName || obsTaxon.name}` : `on observation #${notif.observationId}`;
+    if (!notif.body || notif.source === 'html') return on;
+    const body = notif.body.length > 120 ? notif.body.substring(0, 120) + '...' : notif.body;
+    return `${on}\n${body}`;
+  },
+
+  // Show a desktop notification; clicking it opens options.url if given
+  async show(title, message, options = {}) {
+    const notificationOptions = {
+      type: 'basic',
+      iconUrl: browser.runtime.getURL(this.ICON),
+      title,
+      message
+    };
+    const id = options.id
+      ? await browser.notifications.create(options.id, notificationOptions)
+      : await browser.notifications.create(notificationOptions);
+
+    if (options.url) {
+      this.clickTargets.set(id, options.url);
+    }
+    return id;
+  },
+
+  // Open the target of a clicked desktop notification
+  async handleClick(notificationId) {
+    const url = this.clickTargets.get(notificationId);
+    this.clickTargets.delete(notificationId);
+    await browser.notifications.clear(notificationId);
+
+    if (url) {
+      await browser.tabs.create({ url });
+    }
+  },
+
+  handleClosed(notificationId) {
+    this.clickTargets.delete(notificationId);
+  }
+};
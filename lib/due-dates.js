@@ -0,0 +1,85 @@
+// Due dates and priorities for TODO items
+// Shared by Storage (validation), the sidebar (grouping) and the background reminders
+
+const DueDates = {
+  PRIORITIES: ['high', 'normal', 'low'],
+
+  // Sidebar groups in display order
+  GROUPS: [
+    { key: 'overdue', label: 'Overdue' },
+    { key: 'today', label: 'Today' },
+    { key: 'week', label: 'This week' },
+    { key: 'later', label: 'Later' },
+    { key: 'none', label: 'No due date' }
+  ],
+
+  // Validate a due date ('YYYY-MM-DD'); empty values clear it
+  normalizeDate(value) {
+    if (!value) return null;
+    // Round-trip so impossible dates like 2024-02-31 are rejected rather than rolled over
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value) && this.toIsoDate(this.parse(value)) === value) return value;
+    throw new Error(`Invalid due date: ${value}`);
+  },
+
+  // Validate a priority; empty values mean normal
+  normalizePriority(value) {
+    if (!value) return 'normal';
+    if (this.PRIORITIES.includes(value)) return value;
+    throw new Error(`Invalid priority: ${value}`);
+  },
+
+  // Due dates are calendar days in local time, not UTC instants
+  parse(dueDate) {
+    const [year, month, day] = dueDate.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  },
+
+  toIsoDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  },
+
+  // Which sidebar group a TODO falls in; "this week" is the next 7 days
+  getGroup(item, now = new Date()) {
+    if (!item.dueDate) return 'none';
+
+    const days = Math.round((this.parse(item.dueDate) - this.startOfDay(now)) / (24 * 60 * 60 * 1000));
+    if (days < 0) return 'overdue';
+    if (days === 0) return 'today';
+    if (days < 7) return 'week';
+    return 'later';
+  },
+
+  // Order by due date (undated last), then priority, then newest first
+  compare(a, b) {
+    if (a.dueDate !== b.dueDate) {
+      if (!a.dueDate) return 1;
+      if (!b.dueDate) return -1;
+      return a.dueDate < b.dueDate ? -1 : 1;
+    }
+    return DueDates.comparePriority(a, b) || new Date(b.createdAt) - new Date(a.createdAt);
+  },
+
+  comparePriority(a, b) {
+    return DueDates.PRIORITIES.indexOf(a.priority || 'normal') - DueDates.PRIORITIES.indexOf(b.priority || 'normal');
+  },
+
+  // A TODO is due for a reminder from reminderTime ('HH:MM') on its due day, once
+  isReminderDue(item, reminderTime, now = new Date()) {
+    if (item.type !== 'todo' || item.completed || !item.dueDate || item.reminderSentAt) return false;
+
+    const [hours, minutes] = reminderTime.split(':').map(Number);
+    const remindAt = this.parse(item.dueDate);
+    remindAt.setHours(hours, minutes);
+    return now >= remindAt;
+  },
+
+  // Short label for a due date, e.g. "Mar 3"
+  format(dueDate) {
+    return this.parse(dueDate).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  }
+};
@@ -0,0 +1,90 @@
+// Tabular export (CSV and Darwin Core) for iNaturalist Link Manager
+
+const Exporter = {
+  // Plain CSV columns for saved items
+  CSV_COLUMNS: [
+    { key: 'observationId', label: 'Observation ID', get: item => item.observationId },
+    { key: 'url', label: 'URL', get: item => item.url },
+    { key: 'species', label: 'Species', get: item => item.species },
+    { key: 'commonName', label: 'Common name', get: item => item.commonName },
+    { key: 'observer', label: 'Observer', get: item => item.observer },
+    { key: 'observationDate', label: 'Observation date', get: item => item.observationDate },
+    { key: 'location', label: 'Location', get: item => item.location },
+    { key: 'latitude', label: 'Latitude', get: item => item.latitude },
+    { key: 'longitude', label: 'Longitude', get: item => item.longitude },
+    { key: 'taxonId', label: 'Taxon ID', get: item => item.taxonId },
+    { key: 'taxonRank', label: 'Rank', get: item => item.taxonRank },
+    { key: 'qualityGrade', label: 'Quality grade', get: item => item.qualityGrade },
+    { key: 'identificationsCount', label: 'IDs', get: item => item.identificationsCount },
+    { key: 'tags', label: 'Tags', get: item => (item.tags || []).join('; ') },
+    { key: 'note', label: 'Note', get: item => item.note },
+    { key: 'createdAt', label: 'Added', get: item => item.createdAt },
+    { key: 'thumbnailUrl', label: 'Thumbnail', get: item => item.thumbnailUrl }
+  ],
+
+  // Darwin Core terms (https://dwc.tdwg.org/terms/) - headers are the term names
+  DWC_COLUMNS: [
+    { key: 'occurrenceID', label: 'occurrenceID', get: item => item.url },
+    { key: 'scientificName', label: 'scientificName', get: item => item.species },
+    { key: 'taxonRank', label: 'taxonRank', get: item => item.taxonRank },
+    { key: 'vernacularName', label: 'vernacularName', get: item => item.commonName },
+    { key: 'recordedBy', label: 'recordedBy', get: item => item.observer },
+    { key: 'eventDate', label: 'eventDate', get: item => Exporter.toIsoDate(item.observationDate) },
+    { key: 'locality', label: 'locality', get: item => item.location },
+    { key: 'decimalLatitude', label: 'decimalLatitude', get: item => item.latitude },
+    { key: 'decimalLongitude', label: 'decimalLongitude', get: item => item.longitude },
+    // DwC recommends ' | ' between multiple media URLs
+    { key: 'associatedMedia', label: 'associatedMedia', get: item => item.photos?.length ? item.photos.join(' | ') : item.thumbnailUrl }
+  ],
+
+  // Get the column definitions for a format
+  getColumns(format) {
+    if (format === 'dwc') return this.DWC_COLUMNS;
+    if (format === 'csv') return this.CSV_COLUMNS;
+    throw new Error(`Unknown export format: ${format}`);
+  },
+
+  // Normalize a scraped date to YYYY-MM-DD when it can be parsed
+  toIsoDate(value) {
+    if (!value) return null;
+    if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.substring(0, 10);
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  // Quote a value for CSV (RFC 4180)
+  // Text starting with = + - or @ gets a leading ' so spreadsheets don't run it as a formula;
+  // numbers such as negative coordinates are left as they are
+  escapeCsv(value) {
+    if (value === null || value === undefined) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text) && isNaN(Number(text))) {
+      text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text)) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  },
+
+  // Build a CSV table; columnKeys picks and orders columns (all if empty)
+  toCsv(items, format, columnKeys = []) {
+    const available = this.getColumns(format);
+    const columns = columnKeys.length
+      ? columnKeys.map(key => available.find(c => c.key === key)).filter(Boolean)
+      : available;
+
+    if (columns.length === 0) {
+      throw new Error('Choose at least one column to export');
+    }
+
+    const lines = [columns.map(c => this.escapeCsv(c.label)).join(',')];
+    for (const item of items) {
+      lines.push(columns.map(c => this.escapeCsv(c.get(item))).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+};
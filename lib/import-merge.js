@@ -0,0 +1,196 @@
+// Import planning for iNaturalist Link Manager backups
+// Works out what an import would add, update or conflict with before Storage writes anything
+
+const ImportMerge = {
+  // replace: imported data overwrites everything (items, lists and saved searches)
+  // merge: match items by observationId, add new ones and merge the rest
+  // append: only add observations that aren't saved yet
+  MODES: ['replace', 'merge', 'append'],
+
+  // User-edited fields; differing values need a decision
+  CONFLICT_FIELDS: ['type', 'note', 'completed'],
+
+  // Fields copied along with a conflicting field when the imported version wins
+  RELATED_FIELDS: {
+    type: ['type'],
+    note: ['note'],
+    completed: ['completed', 'completedAt']
+  },
+
+  // Fields that identify an item rather than describe it
+  IDENTITY_FIELDS: ['id', 'url', 'observationId', 'createdAt', 'tags', 'lists'],
+
+  // Match imported lists to current ones by name, adding the rest
+  // Returns the combined lists and a map from imported list IDs to current ones
+  mergeLists(currentLists, incomingLists) {
+    const lists = [...currentLists];
+    const idMap = {};
+
+    for (const incoming of incomingLists) {
+      const existing = lists.find(list => list.name.toLowerCase() === incoming.name.toLowerCase());
+      if (existing) {
+        idMap[incoming.id] = existing.id;
+      } else {
+        const list = lists.some(l => l.id === incoming.id)
+          ? { ...incoming, id: Storage.generateId() }
+          : incoming;
+        lists.push(list);
+        idMap[incoming.id] = list.id;
+      }
+    }
+
+    return { lists, idMap };
+  },
+
+  // Compare current and imported data; both must already be migrated
+  plan(current, incoming, mode = 'merge') {
+    if (!this.MODES.includes(mode)) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const plan = {
+      mode,
+      lists: incoming.lists,
+      added: [],
+      updated: [],
+      conflicts: [],
+      unchanged: 0,
+      skipped: 0,
+      removed: 0
+    };
+
+    if (mode === 'replace') {
+      plan.added = incoming.items;
+      plan.removed = current.items.length;
+      plan.savedSearches = incoming.savedSearches;
+      return plan;
+    }
+
+    const { lists, idMap } = this.mergeLists(current.lists || [], incoming.lists);
+    plan.lists = lists;
+
+    const byObservation = new Map(current.items.map(item => [item.observationId, item]));
+    const usedIds = new Set(current.items.map(item => item.id));
+
+    for (const raw of incoming.items) {
+      const item = { ...raw, lists: raw.lists.map(listId => idMap[listId]).filter(Boolean) };
+      const existing = byObservation.get(item.observationId);
+
+      if (!existing) {
+        if (usedIds.has(item.id)) item.id = Storage.generateId();
+        usedIds.add(item.id);
+        plan.added.push(item);
+        continue;
+      }
+
+      if (mode === 'append') {
+        plan.skipped++;
+        continue;
+      }
+
+      const { merged, changes, conflicts } = this.compare(existing, item);
+      const entry = { id: existing.id, observationId: existing.observationId, title: this.getTitle(existing), merged };
+
+      if (conflicts.length > 0) {
+        plan.conflicts.push({ ...entry, incoming: item, fields: conflicts });
+      } else if (changes.length > 0) {
+        plan.updated.push({ ...entry, changes });
+      } else {
+        plan.unchanged++;
+      }
+    }
+
+    return plan;
+  },
+
+  // Merge an imported item into the current one
+  // Empty current values are filled in; differing user-edited values become conflicts
+  compare(existing, incoming) {
+    const merged = { ...existing };
+    const changes = [];
+    const conflicts = [];
+
+    for (const field of this.CONFLICT_FIELDS) {
+      const currentValue = existing[field];
+      const incomingValue = incoming[field];
+
+      if (incomingValue === undefined || incomingValue === currentValue) continue;
+      if (field === 'note') {
+        if (!incomingValue) continue;
+        if (!currentValue) {
+          merged.note = incomingValue;
+          changes.push('note');
+          continue;
+        }
+      }
+      conflicts.push({ field, current: currentValue, incoming: incomingValue });
+    }
+
+    const tags = Storage.normalizeTags([...(existing.tags || []), ...incoming.tags]);
+    if (tags.length !== (existing.tags || []).length) {
+      merged.tags = tags;
+      changes.push('tags');
+    }
+
+    const lists = [...new Set([...(existing.lists || []), ...incoming.lists])];
+    if (lists.length !== (existing.lists || []).length) {
+      merged.lists = lists;
+      changes.push('lists');
+    }
+
+    // Details such as species or observer only fill gaps
+    let filled = false;
+    for (const [key, value] of Object.entries(incoming)) {
+      if (this.IDENTITY_FIELDS.includes(key) || this.CONFLICT_FIELDS.includes(key)) continue;
+      if (key === 'completedAt') continue;
+      if (merged[key] == null && value != null) {
+        merged[key] = value;
+        filled = true;
+      }
+    }
+    if (filled) changes.push('details');
+
+    return { merged, changes, conflicts };
+  },
+
+  // Build the data to save from a plan
+  // options.resolution is the default for conflicts ('current' or 'incoming');
+  // options.resolutions overrides it per observationId
+  apply(current, plan, options = {}) {
+    if (plan.mode === 'replace') {
+      return { ...current, lists: plan.lists, items: plan.added, savedSearches: plan.savedSearches };
+    }
+
+    const resolution = options.resolution || 'current';
+    const resolutions = options.resolutions || {};
+    const replacements = new Map();
+
+    for (const entry of plan.updated) {
+      replacements.set(entry.id, entry.merged);
+    }
+    for (const conflict of plan.conflicts) {
+      const item = { ...conflict.merged };
+      if ((resolutions[conflict.observationId] || resolution) === 'incoming') {
+        for (const { field } of conflict.fields) {
+          for (const key of this.RELATED_FIELDS[field]) {
+            item[key] = conflict.incoming[key];
+          }
+        }
+      }
+      replacements.set(conflict.id, item);
+    }
+
+    return {
+      ...current,
+      lists: plan.lists,
+      items: [
+        ...current.items.map(item => replacements.get(item.id) || item),
+        ...plan.added
+      ]
+    };
+  },
+
+  getTitle(item) {
+    return item.species || item.commonName || `Observation #${item.observationId}`;
+  }
+};
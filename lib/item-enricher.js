@@ -0,0 +1,71 @@
+// Fills in saved items from the iNaturalist API (api.inaturalist.org/v1/observations)
+// Runs in the background after items are added, and periodically to refresh them;
+// each refresh also records what changed (see change-tracker.js)
+
+const ItemEnricher = {
+  REFRESH_ALARM: 'item-refresh',
+  // How often the alarm checks for items due a refresh
+  REFRESH_CHECK_MINUTES: 60,
+
+  // Map an API observation to saved-item metadata fields
+  fromObservation(obs) {
+    const [latitude, longitude] = obs.location
+      ? obs.location.split(',').map(Number)
+      : [null, null];
+
+    return {
+      species: obs.taxon?.name || null,
+      commonName: obs.taxon?.preferred_common_name || null,
+      taxonId: obs.taxon?.id || null,
+      communityTaxonId: obs.community_taxon_id || null,
+      taxonRank: obs.taxon?.rank || null,
+      // Ancestor taxon IDs from the root down, ending with the taxon itself
+      taxonAncestry: obs.taxon?.ancestor_ids || [],
+      observer: obs.user?.login || null,
+      observationDate: obs.observed_on || null,
+      location: obs.place_guess || null,
+      latitude: Number.isFinite(latitude) ? latitude : null,
+      longitude: Number.isFinite(longitude) ? longitude : null,
+      coordinatesObscured: !!obs.obscured,
+      qualityGrade: obs.quality_grade || null,
+      identificationsCount: obs.identifications_count || 0,
+      commentsCount: obs.comments_count || 0,
+      photos: (obs.photos || []).map(p => p.url?.replace('square', 'medium')).filter(Boolean),
+      thumbnailUrl: obs.photos?.[0]?.url?.replace('square', 'small') || null,
+      enrichedAt: new Date().toISOString()
+    };
+  },
+
+  // Fetch and store API metadata for the given items
+  async enrich(items) {
+    const ids = [...new Set(items.map(item => item.observationId))];
+    if (ids.length === 0) return 0;
+
+    const observationsMap = await Notifications.fetchObservations(ids);
+
+    const metadataByObservationId = {};
+    for (const [id, obs] of Object.entries(observationsMap)) {
+      metadataByObservationId[id] = this.fromObservation(obs);
+    }
+
+    return Storage.applyMetadata(metadataByObservationId);
+  },
+
+  // Enrich one newly added item without holding up the caller
+  enrichInBackground(item) {
+    this.enrich([item]).catch(err => console.warn('[iNat Links] Enrichment failed:', err));
+    return item;
+  },
+
+  // Refresh items never enriched or last enriched longer ago than the configured period
+  async refreshStale() {
+    const hours = await Settings.get('itemRefreshHours');
+    const cutoff = Date.now() - hours * 60 * 60 * 1000;
+    const data = await Storage.getData();
+
+    const stale = data.items.filter(item =>
+      !item.enrichedAt || new Date(item.enrichedAt).getTime() < cutoff
+    );
+    return this.enrich(stale);
+  }
+};
@@ -0,0 +1,94 @@
+// Sort orders and groupings for the sidebar's TODO and Research panels
+// The chosen sort and grouping are remembered per panel in Settings (todoSort, researchGroup, ...)
+
+const ItemSort = {
+  // Missing values always sort last, whichever way the order runs
+  SORTS: {
+    added: { label: 'Newest first', compare: (a, b) => ItemSort.compareValues(a.createdAt, b.createdAt, true) },
+    due: { label: 'Due date', compare: (a, b) => DueDates.compare(a, b) },
+    priority: { label: 'Priority', compare: (a, b) => DueDates.comparePriority(a, b) },
+    observed: { label: 'Observation date', compare: (a, b) => ItemSort.compareValues(a.observationDate, b.observationDate, true) },
+    species: { label: 'Species', compare: (a, b) => ItemSort.compareValues(ItemSort.getSpecies(a), ItemSort.getSpecies(b)) },
+    observer: { label: 'Observer', compare: (a, b) => ItemSort.compareValues(a.observer, b.observer) },
+    location: { label: 'Location', compare: (a, b) => ItemSort.compareValues(a.location, b.location) },
+    changed: { label: 'Last changed', compare: (a, b) => ItemSort.compareValues(a.changedAt, b.changedAt, true) }
+  },
+
+  GROUPINGS: {
+    none: { label: 'No grouping' },
+    due: { label: 'Group by due date' },
+    observer: { label: 'Group by observer' },
+    place: { label: 'Group by place' },
+    species: { label: 'Group by species' },
+    taxonomy: { label: 'Taxonomy tree' }
+  },
+
+  // Options offered by each panel, in menu order
+  PANELS: {
+    todo: {
+      sorts: ['added', 'due', 'priority', 'observed', 'species', 'observer', 'location', 'changed'],
+      groupings: ['none', 'due', 'observer', 'place', 'species']
+    },
+    research: {
+      sorts: ['added', 'observed', 'species', 'observer', 'location', 'changed'],
+      groupings: ['none', 'observer', 'place', 'species', 'taxonomy']
+    }
+  },
+
+  // Completed TODOs get their own due date group at the end
+  COMPLETED_GROUP: { key: 'completed', label: 'Completed' },
+  UNKNOWN_LABEL: 'Unknown',
+
+  compareValues(a, b, descending = false) {
+    if (!a && !b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
+    const result = String(a).localeCompare(String(b), undefined, { sensitivity: 'base', numeric: true });
+    return descending ? -result : result;
+  },
+
+  // Order by the chosen sort, newest first among ties
+  compare(a, b, sort) {
+    const order = this.SORTS[sort] || this.SORTS.added;
+    return order.compare(a, b) || this.SORTS.added.compare(a, b);
+  },
+
+  getSpecies(item) {
+    return item.species || item.commonName;
+  },
+
+  // The group an item falls in: { key, label }
+  getGroup(item, grouping) {
+    switch (grouping) {
+      case 'due': {
+        if (item.completed) return this.COMPLETED_GROUP;
+        const key = DueDates.getGroup(item);
+        return DueDates.GROUPS.find(group => group.key === key);
+      }
+      case 'observer':
+        return this.toGroup(item.observer);
+      case 'place':
+        return this.toGroup(item.location);
+      case 'species':
+        return this.toGroup(this.getSpecies(item));
+      default:
+        return null;
+    }
+  },
+
+  toGroup(value) {
+    return value ? { key: value.toLowerCase(), label: value } : { key: '', label: this.UNKNOWN_LABEL };
+  },
+
+  // Due date groups keep their fixed order; the rest are alphabetical with Unknown last
+  compareGroups(a, b, grouping) {
+    if (grouping === 'due') {
+      return this.getDueIndex(a) - this.getDueIndex(b);
+    }
+    return this.compareValues(a.key, b.key);
+  },
+
+  getDueIndex(group) {
+    return group === this.COMPLETED_GROUP ? DueDates.GROUPS.length : DueDates.GROUPS.indexOf(group);
+  }
+};
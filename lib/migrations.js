@@ -0,0 +1,225 @@
+// Schema versions and migrations for stored iNaturalist Link Manager data
+// Used by Storage when stored data is read and when a backup is imported
+
+const Migrations = {
+  CURRENT_VERSION: 4,
+  // The data as it was before the most recent migration of stored data
+  BACKUP_KEY: 'inat_links_backup',
+
+  ITEM_TYPES: ['todo', 'research'],
+  // Stored ids end up in sidebar markup; anything generateId() could produce matches
+  ID_PATTERN: /^[\w-]{1,64}$/,
+
+  // Upgrade steps: STEPS[n] turns version n data into version n + 1
+  STEPS: {
+    // v2: tags on items and user-created named lists
+    1(data) {
+      return {
+        ...data,
+        version: 2,
+        lists: Array.isArray(data.lists) ? data.lists : [],
+        items: data.items.map(item => (item && typeof item === 'object'
+          ? { ...item, tags: item.tags || [], lists: item.lists || [] }
+          : item))
+      };
+    },
+
+    // v3: deleted items are kept in a trash until purged
+    2(data) {
+      return {
+        ...data,
+        version: 3,
+        trash: Array.isArray(data.trash) ? data.trash : []
+      };
+    },
+
+    // v4: saved searches pinned in the sidebar
+    3(data) {
+      return {
+        ...data,
+        version: 4,
+        savedSearches: Array.isArray(data.savedSearches) ? data.savedSearches : []
+      };
+    }
+  },
+
+  needsMigration(data) {
+    return data.version !== this.CURRENT_VERSION;
+  },
+
+  // Upgrade data step by step to the current version, then validate every item
+  // Returns { data, report } where report lists repaired and rejected items
+  migrate(input) {
+    if (!input || typeof input !== 'object' || !Array.isArray(input.items)) {
+      throw new Error('Invalid data: expected an object with an items array');
+    }
+
+    const fromVersion = Number(input.version);
+    if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+      throw new Error(`Invalid data version: ${input.version}`);
+    }
+    if (fromVersion > this.CURRENT_VERSION) {
+      throw new Error(`Data is from a newer version of the extension (schema v${fromVersion})`);
+    }
+
+    let data = input;
+    for (let version = fromVersion; version < this.CURRENT_VERSION; version++) {
+      data = this.STEPS[version](data);
+    }
+
+    const report = {
+      fromVersion,
+      toVersion: this.CURRENT_VERSION,
+      repaired: [],
+      rejected: []
+    };
+
+    const lists = (Array.isArray(data.lists) ? data.lists : []).filter(list => list && this.isValidId(list.id) && typeof list.name === 'string');
+    const items = this.validateItems(data.items, new Set(lists.map(list => list.id)), report);
+    // Trashed items are only ever restored or purged, so just drop unusable ones
+    const trash = (Array.isArray(data.trash) ? data.trash : [])
+      .filter(item => item && this.isValidId(item.id) && /^\d+$/.test(item.observationId));
+
+    const savedSearches = (Array.isArray(data.savedSearches) ? data.savedSearches : [])
+      .filter(search => search && this.isValidId(search.id) && typeof search.name === 'string' && typeof search.query === 'string');
+
+    return {
+      data: { ...data, lists, items, trash, savedSearches },
+      report
+    };
+  },
+
+  // Validate every item, dropping the ones that can't be repaired and duplicate observations
+  validateItems(rawItems, listIds, report) {
+    const items = [];
+    const seenIds = new Set();
+    const seenObservations = new Set();
+
+    rawItems.forEach((raw, index) => {
+      const result = this.validateItem(raw, listIds);
+
+      if (result.error) {
+        report.rejected.push({ index, observationId: raw?.observationId || null, reason: result.error });
+        return;
+      }
+
+      const { item, fixes } = result;
+      if (seenObservations.has(item.observationId)) {
+        report.rejected.push({ index, observationId: item.observationId, reason: 'duplicate observation' });
+        return;
+      }
+      if (seenIds.has(item.id)) {
+        item.id = Storage.generateId();
+        fixes.push('duplicate id replaced');
+      }
+
+      seenIds.add(item.id);
+      seenObservations.add(item.observationId);
+      if (fixes.length > 0) {
+        report.repaired.push({ id: item.id, observationId: item.observationId, fixes });
+      }
+      items.push(item);
+    });
+
+    return items;
+  },
+
+  // Check one item against the current schema
+  // Returns { item, fixes } with a repaired copy, or { error } if it can't be kept
+  validateItem(raw, listIds) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { error: 'not an object' };
+    }
+
+    const item = { ...raw };
+    const fixes = [];
+
+    if (!this.ITEM_TYPES.includes(item.type)) {
+      return { error: `unknown type "${item.type}"` };
+    }
+
+    // The URL is the source of truth; rebuild it from the ID if it's missing
+    let observationId = typeof item.url === 'string' ? Storage.extractObservationId(item.url) : null;
+    if (!observationId) {
+      const id = String(item.observationId ?? '');
+      if (!/^\d+$/.test(id)) {
+        return { error: 'no observation URL or ID' };
+      }
+      item.url = `https://www.inaturalist.org/observations/${id}`;
+      observationId = id;
+      fixes.push('url rebuilt');
+    }
+    if (item.observationId !== observationId) {
+      item.observationId = observationId;
+      fixes.push('observationId corrected');
+    }
+
+    if (!this.isValidId(item.id)) {
+      fixes.push(item.id ? 'invalid id' : 'missing id');
+      item.id = Storage.generateId();
+    }
+
+    if (typeof item.note !== 'string') {
+      item.note = item.note == null ? '' : String(item.note);
+      fixes.push('note');
+    }
+
+    if (!item.createdAt || isNaN(new Date(item.createdAt).getTime())) {
+      item.createdAt = new Date().toISOString();
+      fixes.push('createdAt');
+    }
+
+    if (item.type === 'todo' && typeof item.completed !== 'boolean') {
+      item.completed = !!item.completed;
+      fixes.push('completed');
+    }
+
+    if (item.dueDate != null) {
+      try {
+        DueDates.normalizeDate(item.dueDate);
+      } catch (e) {
+        item.dueDate = null;
+        fixes.push('dueDate');
+      }
+    }
+    if (item.priority != null && !DueDates.PRIORITIES.includes(item.priority)) {
+      item.priority = 'normal';
+      fixes.push('priority');
+    }
+
+    // Thumbnails are rendered as images; imported files could carry any other scheme
+    if (item.thumbnailUrl != null && !/^https?:\/\//i.test(String(item.thumbnailUrl))) {
+      item.thumbnailUrl = null;
+      fixes.push('thumbnailUrl');
+    }
+
+    const tags = Storage.normalizeTags(item.tags || []);
+    if (JSON.stringify(tags) !== JSON.stringify(item.tags)) {
+      item.tags = tags;
+      fixes.push('tags');
+    }
+
+    const lists = Array.isArray(item.lists) ? item.lists.filter(listId => listIds.has(listId)) : [];
+    if (lists.length !== item.lists?.length) {
+      item.lists = lists;
+      fixes.push('lists');
+    }
+
+    return { item, fixes };
+  },
+
+  isValidId(id) {
+    return typeof id === 'string' && this.ID_PATTERN.test(id);
+  },
+
+  // One-line description of a migration report
+  summarize(report) {
+    const parts = [];
+    if (report.fromVersion !== report.toVersion) {
+      parts.push(`upgraded from v${report.fromVersion} to v${report.toVersion}`);
+    }
+    if (report.repaired.length) parts.push(`${report.repaired.length} repaired`);
+    if (report.rejected.length) parts.push(`${report.rejected.length} rejected`);
+    return parts.join(', ');
+  }
+};
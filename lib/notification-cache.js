@@ -0,0 +1,418 @@
+// Persistent notification cache for iNaturalist Link Manager
+// Owned by the background script and synced incrementally on a timer, so the
+// dropdown and sidebar can render straight from storage and only new items are fetched
+
+const NotificationCache = {
+  STORAGE_KEY: 'inat_notifications_cache',
+  SYNC_ALARM: 'notification-sync',
+  PAGE_SIZE: 50,
+  // How many API pages a sync may walk before it reaches notifications we already have
+  MAX_SYNC_PAGES: 4,
+  // Oldest notifications beyond this are dropped
+  MAX_ENTRIES: 500,
+
+  syncPromise: null,
+  writeQueue: Promise.resolve(),
+  // Called with newly arrived unread notifications after each sync (set by the background script)
+  onNewNotifications: null,
+
+  // Get persisted cache state
+  async getState() {
+    const result = await browser.storage.local.get(this.STORAGE_KEY);
+    return result[this.STORAGE_KEY] || {
+      version: 1,
+      notifications: [],
+      commentMap: {},
+      apiTotal: 0,
+      // Set once a backfill reaches the oldest API notification
+      backfillDone: false,
+      lastSyncAt: null
+    };
+  },
+
+  // Save cache state
+  async saveState(state) {
+    await browser.storage.local.set({ [this.STORAGE_KEY]: state });
+  },
+
+  // Rebuild a NotificationStore from persisted notifications
+  toStore(state) {
+    const store = new Notifications.NotificationStore();
+    store.add(state.notifications.map(n => Notifications.createNotification(n)));
+    return store;
+  },
+
+  // Convert a notification to a storage/message-safe object (dates as ISO strings)
+  serialize(notif, keepRaw = false) {
+    return {
+      ...notif,
+      createdAt: notif.createdAt ? notif.createdAt.toISOString() : null,
+      firstSeenAt: notif.firstSeenAt ? notif.firstSeenAt.toISOString() : null,
+      raw: keepRaw ? notif.raw : null
+    };
+  },
+
+  // Build the response sent to the dropdown and sidebar
+  // A full cache can't take older notifications (they'd be trimmed straight away)
+  toResult(state, extra = {}) {
+    const apiCount = state.notifications.filter(n => n.source === 'api_v1').length;
+    return {
+      notifications: state.notifications,
+      apiTotal: state.apiTotal,
+      hasMore: !state.backfillDone && apiCount < state.apiTotal && state.notifications.length < this.MAX_ENTRIES,
+      lastSyncAt: state.lastSyncAt,
+      ...extra
+    };
+  },
+
+  // Get cached notifications without touching the network
+  async getCached() {
+    return this.toResult(await this.getState());
+  },
+
+  // Run cache read-modify-writes (syncs included) one at a time
+  enqueue(task) {
+    const result = this.writeQueue.then(task);
+    this.writeQueue = result.catch(() => {});
+    return result;
+  },
+
+  // Apply a change to the persisted state
+  update(mutator) {
+    return this.enqueue(async () => {
+      const state = await this.getState();
+      mutator(state);
+      await this.saveState(state);
+      return state;
+    });
+  },
+
+  // Mark notifications read on iNat, then in the cache
+  // iNat tracks read state per observation, so other notifications on those observations
+  // turn read on the next sync; only the given ones change here
+  async markRead(ids) {
+    const { notifications } = await this.getState();
+    const targets = notifications.filter(n => ids.includes(n.id));
+    const observationIds = new Set(targets.map(n => n.observationId).filter(id => /^\d+$/.test(id)));
+
+    for (const observationId of observationIds) {
+      await NotificationsAPI.markViewed(observationId);
+    }
+
+    const state = await this.update((state) => {
+      for (const notif of state.notifications) {
+        if (ids.includes(notif.id)) {
+          notif.viewed = true;
+          notif.keptUnread = false;
+          // Mentions still pointing at an unresolved comment can only be marked locally,
+          // so iNat keeps reporting them unread
+          notif.keptRead = !/^\d+$/.test(notif.observationId);
+        }
+      }
+    });
+    return this.toResult(state);
+  },
+
+  // Mark notifications unread locally (iNat has no mark-unread)
+  async markUnread(ids) {
+    const state = await this.update((state) => {
+      for (const notif of state.notifications) {
+        if (ids.includes(notif.id)) {
+          notif.viewed = false;
+          notif.keptUnread = true;
+          notif.keptRead = false;
+        }
+      }
+    });
+    return this.toResult(state);
+  },
+
+  // Post a comment on a notification's observation and keep it with the notification,
+  // so the sidebar and dropdown can show it in the thread
+  async reply(notificationId, body) {
+    const text = (body || '').trim();
+    if (!text) {
+      throw new Error('Reply is empty');
+    }
+
+    const { notifications } = await this.getState();
+    const notif = notifications.find(n => n.id === notificationId);
+    if (!notif) {
+      throw new Error('Notification not found');
+    }
+    // Mentions still pointing at an unresolved comment have no observation to reply on
+    if (!/^\d+$/.test(notif.observationId)) {
+      throw new Error('Can\'t reply here yet - open the observation to reply');
+    }
+
+    const comment = await NotificationsAPI.postComment(notif.observationId, text);
+
+    const state = await this.update((state) => {
+      const cached = state.notifications.find(n => n.id === notificationId);
+      if (cached) {
+        cached.replies = [...(cached.replies || []), {
+          body: comment.body || text,
+          createdAt: comment.created_at || new Date().toISOString()
+        }];
+      }
+    });
+    return this.toResult(state);
+  },
+
+  // Add an identification on a notification's observation (agreeing, or suggesting another
+  // taxon) and remember it with the notification
+  async identify(notificationId, taxon, body = '') {
+    const { notifications } = await this.getState();
+    const notif = notifications.find(n => n.id === notificationId);
+    if (!notif) {
+      throw new Error('Notification not found');
+    }
+    if (!/^\d+$/.test(notif.observationId)) {
+      throw new Error('Can\'t identify here yet - open the observation instead');
+    }
+
+    const identification = await NotificationsAPI.postIdentification(notif.observationId, taxon.id, body);
+
+    const state = await this.update((state) => {
+      const cached = state.notifications.find(n => n.id === notificationId);
+      if (cached) {
+        cached.myIdentification = {
+          taxon: { id: taxon.id, name: taxon.name || null, commonName: taxon.commonName || null },
+          createdAt: identification.created_at || new Date().toISOString()
+        };
+      }
+    });
+    return this.toResult(state);
+  },
+
+  // Mark every unread notification in one category as read
+  async markCategoryRead(category) {
+    const { notifications } = await this.getState();
+    const ids = notifications
+      .filter(n => n.category === category && n.viewed !== true)
+      .map(n => n.id);
+
+    if (category === 'mention') {
+      await NotificationsAPI.markSiteUpdatesViewed('mention');
+    }
+    return this.markRead(ids);
+  },
+
+  // Mark everything read on iNat and in the cache
+  async markAllRead() {
+    await NotificationsAPI.markAllViewed();
+    await NotificationsAPI.markSiteUpdatesViewed('activity,mention');
+
+    const state = await this.update((state) => {
+      for (const notif of state.notifications) {
+        notif.viewed = true;
+        notif.keptUnread = false;
+      }
+    });
+    return this.toResult(state);
+  },
+
+  // Fetch new notifications into the cache. Concurrent callers share one sync.
+  sync() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.enqueue(() => this.runSync({ backfill: false }))
+        .finally(() => { this.syncPromise = null; });
+    }
+    return this.syncPromise;
+  },
+
+  // Fetch the next older page of API notifications into the cache
+  loadMore() {
+    return this.enqueue(() => this.runSync({ backfill: true }));
+  },
+
+  async runSync({ backfill }) {
+    const state = await this.getState();
+    const store = this.toStore(state);
+    const knownIds = new Set(state.notifications.map(n => n.id));
+    const commentMap = { ...state.commentMap };
+    const now = new Date();
+
+    // Backfill continues from the oldest API notification we hold. The page it sits on is
+    // estimated from the count and pages are walked forward from there, since notifications
+    // arriving in the meantime push older ones onto later pages
+    const apiNotifications = state.notifications.filter(n => n.source === 'api_v1');
+    const olderThan = backfill ? this.getOldestDate(apiNotifications) : null;
+    const startPage = backfill ? Math.max(1, Math.floor(apiNotifications.length / this.PAGE_SIZE)) : 1;
+
+    // Sources can be switched off in the options page
+    const settings = await Settings.getAll();
+    const skipped = Promise.reject(new Error('Disabled in settings'));
+    skipped.catch(() => {});
+
+    const [apiResult, jsonResult, htmlResult] = await Promise.allSettled([
+      settings.fetchApiV1 ? this.fetchApiPages(knownIds, startPage, this.MAX_SYNC_PAGES, olderThan) : skipped,
+      (backfill || !settings.fetchJson) ? Promise.resolve(null) : new Notifications.JsonFetcher().fetch(),
+      (backfill || !settings.fetchHtml) ? Promise.resolve(null) : new Notifications.HtmlFetcher().fetch()
+    ]);
+
+    const incoming = [];
+    if (apiResult.status === 'fulfilled') {
+      incoming.push(...apiResult.value.notifications);
+      state.apiTotal = apiResult.value.total;
+      if (backfill && apiResult.value.reachedEnd) {
+        state.backfillDone = true;
+      }
+    }
+    // JSON and HTML only supplement mentions
+    for (const result of [jsonResult, htmlResult]) {
+      if (result.status === 'fulfilled' && result.value) {
+        incoming.push(...result.value.notifications.filter(n => n.category === 'mention'));
+      }
+    }
+
+    await this.resolveMentionComments(incoming, commentMap);
+
+    // Only a regular sync on top of an existing cache can tell what is new
+    const fresh = (backfill || !state.lastSyncAt) ? [] : this.findNew(store, incoming);
+
+    for (const notif of incoming) {
+      notif.firstSeenAt = now;
+    }
+    store.add(incoming, { refresh: true });
+
+    // No JWT and nothing from the cookie-based sources either
+    if (store.size === 0 && apiResult.status === 'rejected' &&
+        apiResult.reason?.message?.includes('Not authenticated')) {
+      return this.toResult(state, { needsAuth: true });
+    }
+
+    await this.enrich(store);
+
+    state.notifications = store.getAll()
+      .slice(0, this.MAX_ENTRIES)
+      .map(n => this.serialize(n));
+    state.commentMap = commentMap;
+    state.lastSyncAt = now.toISOString();
+    await this.saveState(state);
+
+    if (fresh.length > 0 && this.onNewNotifications) {
+      // Pick up enrichment from the store copy of each notification
+      this.onNewNotifications(fresh.map(n => store.notifications.get(Notifications.getNotificationKey(n)) || n));
+    }
+
+    return this.toResult(state, {
+      needsAuth: false,
+      debug: {
+        apiResult: this.serializeResult(apiResult),
+        jsonResult: this.serializeResult(jsonResult),
+        htmlResult: this.serializeResult(htmlResult)
+      }
+    });
+  },
+
+  // Unread notifications the cache has not seen before
+  // HTML timestamps are relative and drift between syncs, so an HTML mention only
+  // counts as new if nothing from the same user on the same observation is cached
+  findNew(store, incoming) {
+    const cached = store.getAll();
+    const seenKeys = new Set();
+    return incoming.filter(notif => {
+      const key = Notifications.getNotificationKey(notif);
+      if (notif.viewed === true || store.has(notif) || seenKeys.has(key)) return false;
+      seenKeys.add(key);
+      if (notif.source !== 'html') return true;
+      return !cached.some(c =>
+        c.observationId === notif.observationId &&
+        c.category === notif.category &&
+        c.user.login === notif.user.login
+      );
+    });
+  },
+
+  // Walk API v1 pages until we reach notifications already in the cache, or when
+  // olderThan is given, until we reach notifications older than that date
+  async fetchApiPages(knownIds, startPage, maxPages, olderThan = null) {
+    const fetcher = new Notifications.ApiV1Fetcher();
+    const notifications = [];
+    const rawResponse = [];
+    let total = 0;
+    let reachedEnd = false;
+
+    for (let page = startPage; page < startPage + maxPages; page++) {
+      const response = await NotificationsAPI.getUpdates({ page, perPage: this.PAGE_SIZE });
+      const batch = (response.results || []).map(raw =>
+        fetcher.normalize(NotificationsAPI.normalizeNotification(raw))
+      );
+
+      notifications.push(...batch);
+      rawResponse.push(response);
+      total = response.total_results || 0;
+
+      if (batch.length < this.PAGE_SIZE) {
+        reachedEnd = true;
+        break;
+      }
+      const reached = olderThan
+        ? batch.some(n => n.createdAt && n.createdAt < olderThan)
+        : batch.some(n => knownIds.has(n.id));
+      if (reached) break;
+    }
+
+    return { notifications, total, page: startPage, hasMore: !reachedEnd, reachedEnd, rawResponse };
+  },
+
+  // Creation date of the oldest serialized notification
+  getOldestDate(notifications) {
+    const times = notifications.map(n => Date.parse(n.createdAt)).filter(t => !isNaN(t));
+    return times.length ? new Date(Math.min(...times)) : null;
+  },
+
+  // Point mentions that link to /comments/ID at their observation
+  // Resolutions are remembered so later syncs produce the same dedup key
+  async resolveMentionComments(notifications, commentMap) {
+    const pending = notifications.filter(n => n.observationId?.startsWith('comment_'));
+    const unresolved = pending
+      .map(n => n.observationId.replace('comment_', ''))
+      .filter(commentId => !commentMap[commentId]);
+
+    if (unresolved.length > 0) {
+      Object.assign(commentMap, await Notifications.resolveCommentIds(unresolved));
+    }
+
+    for (const notif of pending) {
+      const commentId = notif.observationId.replace('comment_', '');
+      const obsId = commentMap[commentId];
+      if (obsId) {
+        notif.observationId = obsId;
+        notif.observationUrl = `https://www.inaturalist.org/observations/${obsId}#activity_comment_${commentId}`;
+      }
+    }
+  },
+
+  // Fetch observation data only for notifications that don't have it yet
+  async enrich(store) {
+    const ids = new Set();
+    for (const notif of store.getAll()) {
+      if (notif.observation) continue;
+      const match = notif.observationUrl?.match(/observations\/(\d+)/);
+      if (match) ids.add(match[1]);
+    }
+    if (ids.size === 0) return;
+
+    const observationsMap = await Notifications.fetchObservations(Array.from(ids));
+    store.enrichWithObservations(observationsMap);
+  },
+
+  // Make a Promise.allSettled result safe to send to content scripts (for the debug panel)
+  serializeResult(result) {
+    if (result.status === 'rejected') {
+      return { status: 'rejected', reason: { message: result.reason?.message || String(result.reason) } };
+    }
+    if (!result.value) {
+      return { status: 'rejected', reason: { message: 'Not fetched' } };
+    }
+    return {
+      status: 'fulfilled',
+      value: {
+        ...result.value,
+        notifications: result.value.notifications.map(n => this.serialize(n, true))
+      }
+    };
+  }
+};
@@ -1,5 +1,6 @@
-// Shared notification loading/enrichment logic
+// Shared notification loading logic
 // Used by both the dropdown (content script) and sidebar
+// Notifications come from the background script's persistent cache (see notification-cache.js)
 
 class NotificationController {
   constructor({ onUpdate, onError }) {
@@ -7,61 +8,48 @@ class NotificationController {
     this.isLoading = false;
     this.error = null;
     this.debugData = null;
-    this.totalPages = 1;
+    this.hasMore = false;
+    this.lastSyncAt = null;
     this.onUpdate = onUpdate || (() => {});
     this.onError = onError || (() => {});
   }
 
-  async load({ page = 1, perPage = 50 } = {}) {
+  // Render from the cache right away, then ask the background to sync new items
+  async load() {
     if (this.isLoading) return { needsAuth: false };
 
     this.isLoading = true;
     this.error = null;
-    this.store.clear();
 
     try {
-      const [apiResult, jsonResult, htmlResult] = await Promise.allSettled([
-        new Notifications.ApiV1Fetcher().fetch({ page, perPage }),
-        new Notifications.JsonFetcher().fetch(),
-        new Notifications.HtmlFetcher().fetch()
-      ]);
-
-      this.debugData = { apiResult, jsonResult, htmlResult };
-
-      // Add API v1 results (best data for IDs/comments)
-      if (apiResult.status === 'fulfilled') {
-        this.store.add(apiResult.value.notifications);
-        this.totalPages = Math.ceil((apiResult.value.total || 0) / perPage) || 1;
-      }
-
-      // Try JSON for mentions
-      if (jsonResult.status === 'fulfilled') {
-        const jsonMentions = jsonResult.value.notifications.filter(n => n.category === 'mention');
-        this.store.add(jsonMentions);
-      }
-
-      // Add HTML mentions as fallback
-      if (htmlResult.status === 'fulfilled') {
-        const htmlMentions = htmlResult.value.notifications.filter(n => n.category === 'mention');
-        this.store.add(htmlMentions);
-      }
-
-      // Check auth
-      if (this.store.size === 0 && apiResult.status === 'rejected' &&
-          apiResult.reason?.message?.includes('Not authenticated')) {
-        this.isLoading = false;
-        this.onError('auth');
-        return { needsAuth: true };
+      const cached = await browser.runtime.sendMessage({ action: 'getCachedNotifications' });
+      this.applyResult(cached);
+      if (this.store.size > 0) {
+        this.onUpdate();
       }
 
+      const synced = await browser.runtime.sendMessage({ action: 'syncNotifications' });
+      return this.handleSyncResult(synced);
+    } catch (err) {
+      console.error('[iNat Ext] Failed to load notifications:', err);
+      this.error = err.message;
       this.onUpdate();
+      return { needsAuth: false };
+    } finally {
+      this.isLoading = false;
+    }
+  }
 
-      // Kick off enrichment in background
-      this.enrich();
+  // Fetch the next older page of notifications into the cache
+  async loadMore() {
+    if (this.isLoading || !this.hasMore) return { needsAuth: false };
 
-      return { needsAuth: false };
+    this.isLoading = true;
+    try {
+      const synced = await browser.runtime.sendMessage({ action: 'loadMoreNotifications' });
+      return this.handleSyncResult(synced);
     } catch (err) {
-      console.error('[iNat Ext] Failed to load notifications:', err);
+      console.error('[iNat Ext] Failed to load more notifications:', err);
       this.error = err.message;
       this.onUpdate();
       return { needsAuth: false };
@@ -70,37 +58,109 @@ class NotificationController {
     }
   }
 
-  async enrich() {
-    // Resolve comment IDs to observation IDs for mentions
-    const mentions = this.store.getByCategory('mention');
-    const commentIds = mentions
-      .filter(m => m.observationId?.startsWith('comment_'))
-      .map(m => m.observationId.replace('comment_', ''));
-
-    if (commentIds.length > 0) {
-      const commentMapping = await Notifications.resolveCommentIds(commentIds);
-
-      for (const m of mentions) {
-        if (m.observationId?.startsWith('comment_')) {
-          const commentId = m.observationId.replace('comment_', '');
-          const obsId = commentMapping[commentId];
-          if (obsId) {
-            m.observationId = obsId;
-            m.observationUrl = `https://www.inaturalist.org/observations/${obsId}#activity_comment_${commentId}`;
-          }
-        }
-      }
-    }
+  // Mark notifications read; the UI updates at once and rolls back if iNat rejects it
+  markRead(ids) {
+    return this.updateReadState(ids, true, { action: 'markNotificationRead', notificationIds: ids });
+  }
+
+  // Mark notifications unread (local only - iNat has no mark-unread)
+  markUnread(ids) {
+    return this.updateReadState(ids, false, { action: 'markNotificationUnread', notificationIds: ids });
+  }
 
-    // Fetch observation data for all notifications
-    const obsIds = this.store.getObservationIds();
-    if (obsIds.length === 0) return;
+  // Mark every notification in a category read
+  markAllRead(category) {
+    const ids = this.store.getByCategory(category)
+      .filter(n => n.viewed !== true)
+      .map(n => n.id);
+    return this.updateReadState(ids, true, { action: 'markAllNotificationsRead', category });
+  }
+
+  // Post a reply to a comment or mention; errors (including expired sign-ins) go to the caller
+  async reply(id, body) {
+    const result = await browser.runtime.sendMessage({ action: 'replyToNotification', notificationId: id, body });
+    this.applyResult(result);
+    this.onUpdate();
+  }
+
+  // Add an identification from an ID notification ({ id, name, commonName } taxon)
+  async identify(id, taxon, body = '') {
+    const result = await browser.runtime.sendMessage({ action: 'identifyFromNotification', notificationId: id, taxon, body });
+    this.applyResult(result);
+    this.onUpdate();
+  }
+
+  // Taxon suggestions for the Suggest ID box
+  searchTaxa(query) {
+    return browser.runtime.sendMessage({ action: 'autocompleteTaxa', query });
+  }
 
-    const observationsMap = await Notifications.fetchObservations(obsIds);
+  async updateReadState(ids, viewed, message) {
+    const targets = this.store.getAll().filter(n => ids.includes(n.id));
+    const previous = targets.map(n => ({ notif: n, viewed: n.viewed, keptUnread: n.keptUnread }));
 
-    if (Object.keys(observationsMap).length > 0) {
-      this.store.enrichWithObservations(observationsMap);
+    for (const notif of targets) {
+      notif.viewed = viewed;
+      notif.keptUnread = !viewed;
+    }
+    this.onUpdate();
+
+    try {
+      const result = await browser.runtime.sendMessage(message);
+      this.applyResult(result);
+      this.onUpdate();
+      return true;
+    } catch (err) {
+      console.warn('[iNat Ext] Failed to update read state:', err);
+      for (const { notif, viewed: oldViewed, keptUnread } of previous) {
+        notif.viewed = oldViewed;
+        notif.keptUnread = keptUnread;
+      }
       this.onUpdate();
+      this.onError('readState', err);
+      return false;
     }
   }
+
+  handleSyncResult(synced) {
+    if (synced.debug) {
+      this.debugData = this.rehydrateDebug(synced.debug);
+    }
+
+    if (synced.needsAuth) {
+      this.onError('auth');
+      return { needsAuth: true };
+    }
+
+    this.applyResult(synced);
+    this.onUpdate();
+    return { needsAuth: false };
+  }
+
+  // Replace store contents with notifications from the background cache
+  applyResult(result) {
+    this.store.clear();
+    this.store.add(result.notifications.map(n => Notifications.createNotification(n)));
+    this.hasMore = !!result.hasMore;
+    this.lastSyncAt = result.lastSyncAt ? new Date(result.lastSyncAt) : null;
+  }
+
+  // Turn serialized fetch results back into Notification objects for the debug panel
+  rehydrateDebug(debug) {
+    const rehydrate = (result) => {
+      if (result.status !== 'fulfilled') return result;
+      return {
+        ...result,
+        value: {
+          ...result.value,
+          notifications: result.value.notifications.map(n => Notifications.createNotification(n))
+        }
+      };
+    };
+    return {
+      apiResult: rehydrate(debug.apiResult),
+      jsonResult: rehydrate(debug.jsonResult),
+      htmlResult: rehydrate(debug.htmlResult)
+    };
+  }
 }
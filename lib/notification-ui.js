@@ -1,6 +1,13 @@
 // Shared notification card rendering for dropdown and sidebar
 
 window.NotificationUI = {
+  // Reply boxes left open, and their text, so re-renders after a sync don't lose them
+  openReplies: new Set(),
+  replyDrafts: {},
+  // Suggest ID boxes left open, and what was typed and picked in them, for the same reason
+  openIdForms: new Set(),
+  idDrafts: {},
+
   renderItem(n) {
     const timeAgo = this.formatTimeAgo(n.createdAt);
     const isUnread = n.viewed === false;
@@ -13,10 +20,7 @@ window.NotificationUI = {
       actionHtml = 'commented';
     } else if (n.category === 'identification') {
       if (n.taxon) {
-        const taxonName = n.taxon.commonName
-          ? `${this.escapeHtml(n.taxon.commonName)} <span class="inat-ext-notification-sciname">(${this.escapeHtml(n.taxon.name)})</span>`
-          : `<span class="inat-ext-notification-sciname">${this.escapeHtml(n.taxon.name)}</span>`;
-        actionHtml = `added ID: ${taxonName}`;
+        actionHtml = `added ID: ${this.formatTaxon(n.taxon)}`;
       } else {
         actionHtml = 'added an ID';
       }
@@ -52,19 +56,406 @@ window.NotificationUI = {
             : '<div class="inat-ext-notification-avatar"></div>'}
           <div class="inat-ext-notification-content">
             <div class="inat-ext-notification-header">
-              ${isUnread ? '<span class="inat-ext-unread-dot"></span>' : ''}
               <span class="inat-ext-notification-user">${this.escapeHtml(n.user.name)}</span>
               <span class="inat-ext-notification-time">${timeAgo}</span>
+              ${this.canReply(n) ? `<button class="inat-ext-reply-btn" data-id="${n.id}" title="Reply">Reply</button>` : ''}
+              <button class="inat-ext-read-toggle" data-id="${n.id}"
+                      title="${n.viewed === true ? 'Mark as unread' : 'Mark as read'}">${n.viewed === true ? '\u25CB' : '\u25CF'}</button>
             </div>
             <div class="inat-ext-notification-action">${actionHtml}</div>
             ${obsInfoHtml}
             ${bodyHtml}
+            ${this.renderReplies(n)}
+            ${this.openReplies.has(n.id) ? this.renderReplyForm(n) : ''}
+            ${this.renderIdActions(n)}
+            ${this.openIdForms.has(n.id) ? this.renderIdForm(n) : ''}
+          </div>
+        </div>
+      </div>
+    `;
+  },
+
+  // Comments and mentions on a known observation can be answered with a comment there
+  canReply(n) {
+    return (n.category === 'comment' || n.category === 'mention') && /^\d+$/.test(n.observationId);
+  },
+
+  renderReplies(n) {
+    if (!n.replies?.length) return '';
+    return `
+      <div class="inat-ext-notification-replies">
+        ${n.replies.map(reply => `
+          <div class="inat-ext-notification-reply">
+            <span class="inat-ext-reply-meta">You replied ${this.formatTimeAgo(new Date(reply.createdAt))}</span>
+            ${this.escapeHtml(reply.body)}
           </div>
+        `).join('')}
+      </div>
+    `;
+  },
+
+  renderReplyForm(n) {
+    // Start with @login so the notifier gets notified of the reply
+    const draft = this.replyDrafts[n.id] ?? (n.user.login !== 'unknown' ? `@${n.user.login} ` : '');
+    return `
+      <div class="inat-ext-reply-form" data-id="${n.id}">
+        <textarea class="inat-ext-reply-input" rows="3" placeholder="Write a reply...">${this.escapeHtml(draft)}</textarea>
+        <div class="inat-ext-reply-error" hidden></div>
+        <div class="inat-ext-reply-buttons">
+          <button class="inat-ext-reply-cancel">Cancel</button>
+          <button class="inat-ext-reply-send">Send</button>
         </div>
       </div>
     `;
   },
 
+  // ID notifications on a known observation can be agreed with or answered with another ID
+  canIdentify(n) {
+    return n.category === 'identification' && !!n.taxon && /^\d+$/.test(n.observationId);
+  },
+
+  // Agree / Suggest ID buttons, plus the ID you already added from here
+  // Also used in the dropdown's hover preview
+  renderIdActions(n) {
+    if (!this.canIdentify(n)) return '';
+    const mine = n.myIdentification;
+    const agreed = mine?.taxon.id === n.taxon.id;
+    return `
+      <div class="inat-ext-id-actions" data-id="${n.id}">
+        ${mine ? `<span class="inat-ext-my-id">You identified ${this.formatTaxon(mine.taxon)} ${this.formatTimeAgo(new Date(mine.createdAt))}</span>` : ''}
+        <button class="inat-ext-agree-btn" data-id="${n.id}" ${agreed ? 'disabled' : ''}
+                title="${agreed ? 'You agreed with this ID' : `Add an ID of ${this.escapeHtml(n.taxon.name)}`}">${agreed ? 'Agreed' : 'Agree'}</button>
+        <button class="inat-ext-suggest-btn" data-id="${n.id}" title="Add a different ID">Suggest ID</button>
+        <div class="inat-ext-id-error" hidden></div>
+      </div>
+    `;
+  },
+
+  renderIdForm(n) {
+    const draft = this.idDrafts[n.id] || { query: '', taxon: null, remarks: '' };
+    return `
+      <div class="inat-ext-id-form" data-id="${n.id}">
+        <input type="text" class="inat-ext-id-taxon-input" placeholder="Search for a taxon..." autocomplete="off"
+               value="${this.escapeHtml(draft.query)}">
+        <ul class="inat-ext-id-suggestions" hidden></ul>
+        <textarea class="inat-ext-id-remarks" rows="2" placeholder="Remarks (optional)">${this.escapeHtml(draft.remarks)}</textarea>
+        <div class="inat-ext-id-form-error" hidden></div>
+        <div class="inat-ext-reply-buttons">
+          <button class="inat-ext-id-cancel">Cancel</button>
+          <button class="inat-ext-id-submit" ${draft.taxon ? '' : 'disabled'}>Add ID</button>
+        </div>
+      </div>
+    `;
+  },
+
+  formatTaxon(taxon) {
+    return taxon.commonName
+      ? `${this.escapeHtml(taxon.commonName)} <span class="inat-ext-notification-sciname">(${this.escapeHtml(taxon.name)})</span>`
+      : `<span class="inat-ext-notification-sciname">${this.escapeHtml(taxon.name)}</span>`;
+  },
+
+  // Wire up Agree / Suggest ID buttons and ID forms on rendered notifications
+  // Options are the same as attachReplyHandlers
+  attachIdentifyHandlers(container, controller, { refreshAuth = null, rerender } = {}) {
+    const byId = {};
+    for (const n of controller.store.getAll()) {
+      byId[n.id] = n;
+    }
+
+    container.querySelectorAll('.inat-ext-agree-btn').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        e.stopPropagation();
+        const n = byId[btn.dataset.id];
+        if (!n) return;
+        const errorEl = btn.parentElement.querySelector('.inat-ext-id-error');
+
+        btn.disabled = true;
+        btn.textContent = 'Agreeing...';
+        errorEl.hidden = true;
+        try {
+          await this.withAuthRetry(() => controller.identify(n.id, n.taxon), refreshAuth);
+          rerender();
+        } catch (err) {
+          console.warn('[iNat Ext] Agree failed:', err);
+          errorEl.textContent = this.describeError(err, 'Couldn\'t add ID');
+          errorEl.hidden = false;
+          btn.disabled = false;
+          btn.textContent = 'Agree';
+        }
+      });
+    });
+
+    container.querySelectorAll('.inat-ext-suggest-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const id = btn.dataset.id;
+        if (this.openIdForms.has(id)) {
+          this.openIdForms.delete(id);
+        } else {
+          this.openIdForms.add(id);
+        }
+        rerender();
+        document.querySelector(`.inat-ext-id-form[data-id="${CSS.escape(id)}"] input`)?.focus();
+      });
+    });
+
+    container.querySelectorAll('.inat-ext-id-form').forEach(form => {
+      const id = form.dataset.id;
+      const input = form.querySelector('.inat-ext-id-taxon-input');
+      const list = form.querySelector('.inat-ext-id-suggestions');
+      const remarks = form.querySelector('.inat-ext-id-remarks');
+      const submitBtn = form.querySelector('.inat-ext-id-submit');
+      const errorEl = form.querySelector('.inat-ext-id-form-error');
+      let results = [];
+      let highlighted = -1;
+      let selected = this.idDrafts[id]?.taxon || null;
+      let searchTimer = null;
+
+      const saveDraft = () => {
+        this.idDrafts[id] = { query: input.value, taxon: selected, remarks: remarks.value };
+      };
+
+      const showResults = () => {
+        list.innerHTML = results.map((taxon, i) => `
+          <li class="inat-ext-id-suggestion ${i === highlighted ? 'highlighted' : ''}" data-index="${i}">
+            ${taxon.thumbnail ? `<img src="${this.escapeHtml(taxon.thumbnail)}" alt="">` : ''}
+            <span>${this.formatTaxon(taxon)} <span class="inat-ext-id-rank">${this.escapeHtml(taxon.rank)}</span></span>
+          </li>
+        `).join('');
+        list.hidden = results.length === 0;
+      };
+
+      const select = (taxon) => {
+        selected = taxon;
+        input.value = taxon.commonName ? `${taxon.commonName} (${taxon.name})` : taxon.name;
+        results = [];
+        showResults();
+        saveDraft();
+        submitBtn.disabled = false;
+        remarks.focus();
+      };
+
+      const search = async () => {
+        const query = input.value.trim();
+        if (query.length < 2) {
+          results = [];
+          showResults();
+          return;
+        }
+        try {
+          const found = await controller.searchTaxa(query);
+          // Ignore answers for text that has since changed
+          if (input.value.trim() !== query) return;
+          results = found;
+          highlighted = results.length ? 0 : -1;
+          showResults();
+        } catch (err) {
+          console.warn('[iNat Ext] Taxon search failed:', err);
+        }
+      };
+
+      this.containForm(form);
+
+      input.addEventListener('input', () => {
+        selected = null;
+        saveDraft();
+        submitBtn.disabled = true;
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(search, 250);
+      });
+
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+          if (!results.length) return;
+          e.preventDefault();
+          const step = e.key === 'ArrowDown' ? 1 : -1;
+          highlighted = (highlighted + step + results.length) % results.length;
+          showResults();
+        } else if (e.key === 'Enter') {
+          e.preventDefault();
+          if (results[highlighted]) {
+            select(results[highlighted]);
+          } else if (selected) {
+            submitBtn.click();
+          }
+        }
+      });
+
+      remarks.addEventListener('input', saveDraft);
+      remarks.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) submitBtn.click();
+      });
+
+      // mousedown so the pick lands before the input loses focus
+      list.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('.inat-ext-id-suggestion');
+        if (!item) return;
+        e.preventDefault();
+        select(results[Number(item.dataset.index)]);
+      });
+
+      form.querySelector('.inat-ext-id-cancel').addEventListener('click', () => {
+        this.openIdForms.delete(id);
+        delete this.idDrafts[id];
+        rerender();
+      });
+
+      submitBtn.addEventListener('click', async () => {
+        if (!selected) return;
+
+        submitBtn.disabled = true;
+        submitBtn.textContent = 'Adding...';
+        errorEl.hidden = true;
+
+        try {
+          await this.withAuthRetry(() => controller.identify(id, selected, remarks.value.trim()), refreshAuth);
+          this.openIdForms.delete(id);
+          delete this.idDrafts[id];
+          rerender();
+        } catch (err) {
+          console.warn('[iNat Ext] Identification failed:', err);
+          errorEl.textContent = this.describeError(err, 'Couldn\'t add ID');
+          errorEl.hidden = false;
+          submitBtn.disabled = false;
+          submitBtn.textContent = 'Add ID';
+        }
+      });
+    });
+  },
+
+  // Wire up reply buttons and forms on rendered notifications
+  // refreshAuth, when given, fetches a new sign-in token (only possible on iNat pages)
+  // and the reply is retried once after an expired or missing sign-in
+  attachReplyHandlers(container, controller, { refreshAuth = null, rerender } = {}) {
+    container.querySelectorAll('.inat-ext-reply-btn').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const id = btn.dataset.id;
+        if (this.openReplies.has(id)) {
+          this.openReplies.delete(id);
+        } else {
+          this.openReplies.add(id);
+        }
+        rerender();
+        container.querySelector(`.inat-ext-reply-form[data-id="${CSS.escape(id)}"] textarea`)?.focus();
+      });
+    });
+
+    container.querySelectorAll('.inat-ext-reply-form').forEach(form => {
+      const id = form.dataset.id;
+      const input = form.querySelector('.inat-ext-reply-input');
+      const sendBtn = form.querySelector('.inat-ext-reply-send');
+      const errorEl = form.querySelector('.inat-ext-reply-error');
+
+      this.containForm(form);
+      input.addEventListener('input', () => { this.replyDrafts[id] = input.value; });
+      input.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) sendBtn.click();
+      });
+
+      form.querySelector('.inat-ext-reply-cancel').addEventListener('click', () => {
+        this.openReplies.delete(id);
+        delete this.replyDrafts[id];
+        rerender();
+      });
+
+      sendBtn.addEventListener('click', async () => {
+        const body = input.value.trim();
+        if (!body) return;
+
+        sendBtn.disabled = true;
+        sendBtn.textContent = 'Sending...';
+        errorEl.hidden = true;
+
+        try {
+          await this.withAuthRetry(() => controller.reply(id, body), refreshAuth);
+          this.openReplies.delete(id);
+          delete this.replyDrafts[id];
+          rerender();
+        } catch (err) {
+          console.warn('[iNat Ext] Reply failed:', err);
+          errorEl.textContent = this.describeError(err, 'Couldn\'t send reply');
+          errorEl.hidden = false;
+          sendBtn.disabled = false;
+          sendBtn.textContent = 'Send';
+        }
+      });
+    });
+  },
+
+  // Typing and clicking in a reply or ID form shouldn't open the observation
+  containForm(form) {
+    form.addEventListener('click', (e) => e.stopPropagation());
+    form.addEventListener('keydown', (e) => e.stopPropagation());
+  },
+
+  // Run a signed-in action, renewing the sign-in and retrying once if it was missing or expired
+  async withAuthRetry(action, refreshAuth) {
+    try {
+      return await action();
+    } catch (err) {
+      if (!refreshAuth || !this.isAuthError(err)) throw err;
+      await refreshAuth();
+      return action();
+    }
+  },
+
+  describeError(err, prefix) {
+    return this.isAuthError(err)
+      ? 'Your iNaturalist sign-in has expired. Visit iNaturalist.org while logged in, then try again.'
+      : `${prefix}: ${err.message}`;
+  },
+
+  isAuthError(err) {
+    return /Not authenticated|Session expired|Not logged in/.test(err?.message || '');
+  },
+
+  // Wire up row clicks and read toggles on rendered notifications
+  // onOpen(notification, element) runs for row clicks; toggles go through the controller
+  attachReadHandlers(container, controller, onOpen) {
+    const byId = {};
+    for (const n of controller.store.getAll()) {
+      byId[n.id] = n;
+    }
+
+    container.querySelectorAll('.inat-ext-notification').forEach(el => {
+      el.addEventListener('click', () => {
+        const n = byId[el.dataset.id];
+        if (n && n.viewed !== true) {
+          controller.markRead([n.id]);
+        }
+        onOpen(n, el);
+      });
+    });
+
+    // iNat tracks read state per observation; say so where marking one read affects others
+    const unreadByObservation = {};
+    for (const n of Object.values(byId)) {
+      if (n.viewed !== true && /^\d+$/.test(n.observationId)) {
+        unreadByObservation[n.observationId] = (unreadByObservation[n.observationId] || 0) + 1;
+      }
+    }
+
+    container.querySelectorAll('.inat-ext-read-toggle').forEach(btn => {
+      const n = byId[btn.dataset.id];
+      if (!n) return;
+
+      const others = n.viewed !== true ? (unreadByObservation[n.observationId] || 1) - 1 : 0;
+      if (others > 0) {
+        btn.title = `Mark as read (iNaturalist also marks the ${others} other unread notification${others === 1 ? '' : 's'} on this observation read)`;
+      }
+
+      btn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (n.viewed === true) {
+          controller.markUnread([n.id]);
+        } else {
+          controller.markRead([n.id]);
+        }
+      });
+    });
+  },
+
   formatTimeAgo(date) {
     if (!date) return '';
     if (!(date instanceof Date)) return String(date);
@@ -79,10 +470,11 @@ window.NotificationUI = {
     return date.toLocaleDateString();
   },
 
+  // Safe for text and for double-quoted attribute values
   escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;');
   }
 };
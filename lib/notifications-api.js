@@ -36,6 +36,50 @@ const NotificationsAPI = {
     return response;
   },
 
+  // Post a comment on an observation; returns the created comment
+  async postComment(observationId, body) {
+    const response = await this.apiRequest(`${this.BASE_URL}/comments`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        comment: { parent_type: 'Observation', parent_id: Number(observationId), body }
+      })
+    });
+    const data = await response.json();
+    return data.results?.[0] || data;
+  },
+
+  // Add an identification to an observation; returns the created identification
+  async postIdentification(observationId, taxonId, body = '') {
+    const response = await this.apiRequest(`${this.BASE_URL}/identifications`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        identification: { observation_id: Number(observationId), taxon_id: Number(taxonId), body: body || undefined }
+      })
+    });
+    const data = await response.json();
+    return data.results?.[0] || data;
+  },
+
+  // Taxon suggestions for a name typed by the user (no sign-in needed)
+  async autocompleteTaxa(query, perPage = 8) {
+    const params = new URLSearchParams({ q: query, per_page: String(perPage) });
+    const response = await fetch(`${this.BASE_URL}/taxa/autocomplete?${params}`);
+    if (!response.ok) {
+      throw new Error(`API error: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return (data.results || []).map(taxon => ({
+      id: taxon.id,
+      name: taxon.name,
+      rank: taxon.rank,
+      commonName: taxon.preferred_common_name || null,
+      thumbnail: taxon.default_photo?.square_url || null
+    }));
+  },
+
   // Fetch notifications from Rails endpoint (has mentions!)
   // This works with session cookies, must be called from content script on iNat domain
   // notification: 'activity' (IDs/comments on your obs), 'mention' (when @mentioned anywhere)
@@ -87,10 +131,11 @@ const NotificationsAPI = {
     return data;
   },
 
-  // Mark a notification as viewed/read
-  async markViewed(notificationId) {
+  // Mark all updates on an observation as viewed/read
+  // iNat tracks read state per observation, not per notification
+  async markViewed(observationId) {
     await this.apiRequest(
-      `${this.BASE_URL}/observations/${notificationId}/viewed`,
+      `${this.BASE_URL}/observations/${observationId}/viewed`,
       { method: 'PUT' }
     );
     return true;
@@ -105,6 +150,20 @@ const NotificationsAPI = {
     return true;
   },
 
+  // Mark site notifications (e.g. mentions) as viewed
+  // The Rails endpoint marks what it returns as viewed unless skip_view is set
+  async markSiteUpdatesViewed(notificationType = 'mention') {
+    const params = new URLSearchParams({ notification: notificationType });
+    const response = await fetch(`${this.SITE_URL}/users/new_updates.json?${params}`, {
+      credentials: 'include'
+    });
+
+    if (!response.ok) {
+      throw new Error(`Site error: ${response.status}`);
+    }
+    return true;
+  },
+
   // Categorize notification by type
   // Note: API v1 doesn't include true "mention" notifications - those only come from
   // the JSON/HTML endpoints. So we only categorize as comment or identification here.
@@ -145,7 +204,7 @@ const NotificationsAPI = {
         name: resource.taxon.name || null,
         commonName: resource.taxon.preferred_common_name || null
       } : null,
-      observationUrl: `https://www.inaturalist.org/observations/${raw.resource_id}`
+      observationUrl: Notifications.buildObservationUrl(raw.resource_id, raw)
     };
   }
 };
@@ -23,6 +23,15 @@
  * @property {string} taxon.name - Scientific name
  * @property {string|null} taxon.commonName - Common name
  * @property {string|null} observationThumbnail - Observation photo URL
+ * @property {Date|null} firstSeenAt - When the extension first saw this notification
+ * @property {boolean} keptUnread - User marked it unread locally (iNat has no mark-unread)
+ * @property {boolean} keptRead - User marked it read locally where iNat couldn't be told
+ * @property {Object[]} replies - Comments posted in reply from the extension
+ * @property {string} replies[].body - Comment text
+ * @property {string} replies[].createdAt - When it was posted (ISO string)
+ * @property {Object|null} myIdentification - Identification added from the extension
+ * @property {Object} myIdentification.taxon - Taxon identified as ({ id, name, commonName })
+ * @property {string} myIdentification.createdAt - When it was added (ISO string)
  * @property {Object} raw - Original data for debugging
  */
 
@@ -64,6 +73,18 @@ function createNotification(data) {
       qualityGrade: data.observation.qualityGrade || null,
       identificationsCount: data.observation.identificationsCount || 0
     } : null,
+    firstSeenAt: data.firstSeenAt instanceof Date ? data.firstSeenAt : parseDate(data.firstSeenAt),
+    keptUnread: data.keptUnread === true,
+    keptRead: data.keptRead === true,
+    replies: (data.replies || []).map(reply => ({ body: reply.body, createdAt: reply.createdAt })),
+    myIdentification: data.myIdentification ? {
+      taxon: {
+        id: data.myIdentification.taxon.id,
+        name: data.myIdentification.taxon.name || null,
+        commonName: data.myIdentification.taxon.commonName || null
+      },
+      createdAt: data.myIdentification.createdAt
+    } : null,
     raw: data.raw || null
   };
 }
@@ -100,6 +121,21 @@ function parseDate(value) {
   return null;
 }
 
+/**
+ * Build an observation URL that jumps to the comment or ID a notification is about
+ * @param {string|number} observationId
+ * @param {Object} raw - Raw notification with optional comment/identification
+ */
+function buildObservationUrl(observationId, raw = {}) {
+  let anchor = '';
+  if (raw.comment?.id) {
+    anchor = `#activity_comment_${raw.comment.id}`;
+  } else if (raw.identification?.id) {
+    anchor = `#activity_identification_${raw.identification.id}`;
+  }
+  return `https://www.inaturalist.org/observations/${observationId}${anchor}`;
+}
+
 /**
  * Generate a unique key for deduplication
  * Based on observation + category + approximate time (not user, since that's unreliable)
@@ -125,6 +161,9 @@ class NotificationStore {
   /**
    * Add notifications, deduplicating by key
    * Prefers structured sources (api_v1, json) over html
+   * @param {Notification[]} notifications
+   * @param {Object} options
+   * @param {boolean} options.refresh - Update read state of existing same-source notifications
    */
   add(notifications, options = {}) {
     const sourcePriority = { api_v1: 3, json: 2, html: 1, unknown: 0 };
@@ -139,8 +178,25 @@ class NotificationStore {
         const newPriority = sourcePriority[notif.source] || 0;
 
         if (newPriority > existingPriority) {
-          // New one is from better source, replace
+          // New one is from better source, replace (keeping what we already learned about it)
+          notif.firstSeenAt = existing.firstSeenAt || notif.firstSeenAt;
+          notif.observation = notif.observation || existing.observation;
+          notif.replies = existing.replies?.length ? existing.replies : notif.replies;
+          notif.myIdentification = notif.myIdentification || existing.myIdentification;
+          if (existing.keptUnread) {
+            notif.keptUnread = true;
+            notif.viewed = false;
+          } else if (existing.keptRead) {
+            notif.keptRead = true;
+            notif.viewed = true;
+          }
           this.notifications.set(key, notif);
+        } else if (options.refresh && newPriority === existingPriority && notif.viewed !== null) {
+          // Same source fetched again - pick up read/unread changes,
+          // unless the user set it the other way locally
+          if (!(existing.keptUnread && notif.viewed) && !(existing.keptRead && notif.viewed === false)) {
+            existing.viewed = notif.viewed;
+          }
         }
         // Otherwise keep existing (same or better source)
       } else {
@@ -171,6 +227,13 @@ class NotificationStore {
       });
   }
 
+  /**
+   * Check whether a notification (by dedup key) is already held
+   */
+  has(notif) {
+    return this.notifications.has(getNotificationKey(notif));
+  }
+
   /**
    * Get notifications by category
    */
@@ -477,21 +540,7 @@ class ApiV1Fetcher extends NotificationFetcher {
       perPage
     });
 
-    const notifications = (response.notifications || []).map(raw =>
-      createNotification({
-        id: `api_v1_${raw.id}`,
-        source: 'api_v1',
-        category: raw.category,
-        viewed: raw.viewed,
-        createdAt: raw.createdAt,
-        observationId: raw.observationId,
-        observationUrl: raw.observationUrl,
-        user: raw.user,
-        body: raw.body,
-        taxon: raw.taxon,
-        raw
-      })
-    );
+    const notifications = (response.notifications || []).map(raw => this.normalize(raw));
 
     return {
       notifications,
@@ -501,6 +550,26 @@ class ApiV1Fetcher extends NotificationFetcher {
       rawResponse: response
     };
   }
+
+  /**
+   * Convert a NotificationsAPI.normalizeNotification() result into a Notification
+   * Shared with the background notification cache, which calls the API directly
+   */
+  normalize(raw) {
+    return createNotification({
+      id: `api_v1_${raw.id}`,
+      source: 'api_v1',
+      category: raw.category,
+      viewed: raw.viewed,
+      createdAt: raw.createdAt,
+      observationId: raw.observationId,
+      observationUrl: raw.observationUrl,
+      user: raw.user,
+      body: raw.body,
+      taxon: raw.taxon,
+      raw
+    });
+  }
 }
 
 
@@ -525,7 +594,7 @@ class JsonFetcher extends NotificationFetcher {
   }
 
   /**
-   * Fetch directly (must be called from content script on iNat domain)
+   * Fetch directly (needs the iNat session cookie: content script, or background via host permission)
    */
   async fetch(options = {}) {
     const params = new URLSearchParams({
@@ -568,7 +637,7 @@ class JsonFetcher extends NotificationFetcher {
         viewed: raw.viewed === true,
         createdAt: raw.created_at,
         observationId: raw.resource_id,
-        observationUrl: `https://www.inaturalist.org/observations/${raw.resource_id}`,
+        observationUrl: buildObservationUrl(raw.resource_id, raw),
         user: {
           login: user.login || 'unknown',
           name: user.name || user.login || 'Unknown',
@@ -616,7 +685,7 @@ class HtmlFetcher extends NotificationFetcher {
   }
 
   /**
-   * Fetch and parse HTML (must be called from content script on iNat domain)
+   * Fetch and parse HTML (needs the iNat session cookie: content script, or background via host permission)
    */
   async fetch(options = {}) {
     const url = 'https://www.inaturalist.org/users/new_updates?notification=activity,mention&skip_view=1';
@@ -785,6 +854,7 @@ if (typeof window !== 'undefined') {
   window.Notifications = {
     createNotification,
     parseDate,
+    buildObservationUrl,
     getNotificationKey,
     NotificationStore,
     NotificationFetcher,
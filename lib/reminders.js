@@ -0,0 +1,48 @@
+// Desktop reminders for TODOs that come due
+// Checked on an alarm by the background script; each TODO is reminded once per due date
+
+const Reminders = {
+  ALARM: 'todo-reminders',
+  CHECK_MINUTES: 15,
+
+  // Remind about TODOs that are due, unless reminders are off or it's quiet hours
+  async check(now = new Date()) {
+    const settings = await Settings.getAll();
+    if (!settings.remindersEnabled) return 0;
+
+    // Held back during quiet hours, then sent on the first check after
+    const prefs = await DesktopNotifier.getPrefs();
+    if (DesktopNotifier.isQuietTime(prefs.quietHours, now)) return 0;
+
+    const todos = await Storage.getByType('todo');
+    const due = todos.filter(item => DueDates.isReminderDue(item, settings.reminderTime, now));
+    if (due.length === 0) return 0;
+
+    if (due.length > DesktopNotifier.GROUP_THRESHOLD) {
+      const overdue = due.filter(item => DueDates.getGroup(item, now) === 'overdue').length;
+      await DesktopNotifier.show(`${due.length} TODOs are due`, overdue ? `${overdue} overdue` : 'Open the sidebar to see them', {
+        id: 'inat-reminder-summary'
+      });
+    } else {
+      for (const item of due) {
+        await DesktopNotifier.show(this.buildTitle(item, now), this.buildMessage(item), {
+          url: item.url,
+          id: `inat-reminder-${item.id}`
+        });
+      }
+    }
+
+    await Storage.markReminded(due.map(item => item.id));
+    return due.length;
+  },
+
+  buildTitle(item, now) {
+    const label = DueDates.getGroup(item, now) === 'overdue' ? 'TODO overdue' : 'TODO due today';
+    return item.priority === 'high' ? `${label} (high priority)` : label;
+  },
+
+  buildMessage(item) {
+    const title = item.species || item.commonName || `Observation #${item.observationId}`;
+    return item.note ? `${title}\n${item.note}` : title;
+  }
+};
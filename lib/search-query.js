@@ -0,0 +1,171 @@
+// Search query language for saved items
+// Parsed and matched in the background by Storage.search(); the sidebar uses the
+// same parser to show query errors and highlight matched terms.
+//
+//   oak gall              items containing both words
+//   "oak gall"            the exact phrase
+//   -oak                  items not containing "oak"
+//   observer:foo          observer contains foo
+//   taxon:Quercus         scientific or common name contains Quercus
+//   tag:oaks              has the tag (exact, ignoring case)
+//   list:"Oaks project"   in the named list
+//   place:texas           location contains texas
+//   note:check            note contains check
+//   added:>2026-01-01     saved after a date (also >=, <, <=, =)
+//   observed:<2025-06-01  observed before a date
+//   due:<=2026-03-01      TODO due on or before a date
+//   is:completed          also open, todo, research, changed, overdue
+//   has:note              also tags, due, photo, list, changes
+
+const SearchQuery = {
+  // Fields searched by plain words and phrases
+  TEXT_FIELDS: ['note', 'species', 'commonName', 'observer', 'location'],
+
+  IS_VALUES: ['completed', 'open', 'todo', 'research', 'changed', 'overdue'],
+  HAS_VALUES: ['note', 'tags', 'due', 'photo', 'list', 'changes'],
+  DATE_FIELDS: { added: 'createdAt', observed: 'observationDate', due: 'dueDate' },
+
+  // field:value terms, optionally negated with '-' and quoted with "..."
+  TOKEN_PATTERN: /(-)?(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi,
+
+  // Parse a query into terms: { field, value, negate, op?, date? }
+  // field is null for plain words and phrases; unusable terms go to errors
+  parse(query = '') {
+    const terms = [];
+    const errors = [];
+
+    for (const match of query.matchAll(this.TOKEN_PATTERN)) {
+      const [raw, minus, rawField, quoted, bare] = match;
+      const negate = !!minus;
+      const field = rawField?.toLowerCase();
+      const value = quoted ?? bare ?? '';
+
+      // Not a field we know (e.g. a pasted URL) - search for the text as written
+      if (field && !this.isField(field)) {
+        terms.push({ field: null, value: raw.slice(negate ? 1 : 0).toLowerCase(), negate });
+        continue;
+      }
+      if (!value) continue;
+
+      const term = { field: field || null, value: value.toLowerCase(), negate };
+
+      if (field in this.DATE_FIELDS) {
+        const dateMatch = value.match(/^(>=|<=|>|<|=)?(\d{4}-\d{2}-\d{2})$/);
+        if (!dateMatch) {
+          errors.push(`${field}: needs a date like >2026-01-01`);
+          continue;
+        }
+        term.op = dateMatch[1] || '=';
+        term.date = dateMatch[2];
+      } else if (field === 'is' && !this.IS_VALUES.includes(term.value)) {
+        errors.push(`is: can be ${this.IS_VALUES.join(', ')}`);
+        continue;
+      } else if (field === 'has' && !this.HAS_VALUES.includes(term.value)) {
+        errors.push(`has: can be ${this.HAS_VALUES.join(', ')}`);
+        continue;
+      }
+
+      terms.push(term);
+    }
+
+    return { terms, errors };
+  },
+
+  isField(field) {
+    return ['observer', 'taxon', 'tag', 'list', 'place', 'note', 'is', 'has'].includes(field) ||
+      field in this.DATE_FIELDS;
+  },
+
+  // Check an item against every term of a parsed query
+  // context.lists resolves list: terms by name
+  matches(item, parsed, context = {}) {
+    return parsed.terms.every(term => this.matchesTerm(item, term, context) !== term.negate);
+  },
+
+  matchesTerm(item, term, context) {
+    const contains = (value) => String(value ?? '').toLowerCase().includes(term.value);
+
+    switch (term.field) {
+      case null:
+        return this.TEXT_FIELDS.some(field => contains(item[field])) ||
+          (item.tags || []).some(contains) ||
+          contains(item.observationId);
+      case 'observer':
+        return contains(item.observer);
+      case 'taxon':
+        return contains(item.species) || contains(item.commonName);
+      case 'tag':
+        return (item.tags || []).some(tag => tag.toLowerCase() === term.value);
+      case 'list': {
+        const list = (context.lists || []).find(l => l.name.toLowerCase() === term.value);
+        return !!list && (item.lists || []).includes(list.id);
+      }
+      case 'place':
+        return contains(item.location);
+      case 'note':
+        return contains(item.note);
+      case 'is':
+        return this.matchesIs(item, term.value);
+      case 'has':
+        return this.matchesHas(item, term.value);
+      default:
+        return this.matchesDate(item[this.DATE_FIELDS[term.field]], term);
+    }
+  },
+
+  matchesIs(item, value) {
+    switch (value) {
+      case 'completed': return item.completed === true;
+      case 'open': return item.type === 'todo' && !item.completed;
+      case 'todo': return item.type === 'todo';
+      case 'research': return item.type === 'research';
+      case 'changed': return item.changes?.length > 0;
+      case 'overdue': return !item.completed && !!item.dueDate && item.dueDate < this.toDay(new Date());
+      default: return false;
+    }
+  },
+
+  matchesHas(item, value) {
+    switch (value) {
+      case 'note': return !!item.note;
+      case 'tags': return item.tags?.length > 0;
+      case 'due': return !!item.dueDate;
+      case 'photo': return !!item.thumbnailUrl;
+      case 'list': return item.lists?.length > 0;
+      case 'changes': return item.changes?.length > 0;
+      default: return false;
+    }
+  },
+
+  matchesDate(value, term) {
+    const day = this.toDay(value);
+    if (!day) return false;
+
+    switch (term.op) {
+      case '>': return day > term.date;
+      case '>=': return day >= term.date;
+      case '<': return day < term.date;
+      case '<=': return day <= term.date;
+      default: return day === term.date;
+    }
+  },
+
+  // Local calendar day (YYYY-MM-DD) of a date or date string, or null
+  toDay(value) {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  },
+
+  // Words worth highlighting in results: positive text terms and text-like field values
+  getHighlights(parsed) {
+    const highlightable = [null, 'observer', 'taxon', 'tag', 'place', 'note'];
+    return parsed.terms
+      .filter(term => !term.negate && highlightable.includes(term.field))
+      .map(term => term.value);
+  }
+};
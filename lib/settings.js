@@ -0,0 +1,194 @@
+// Extension settings for iNaturalist Link Manager
+// Shared by the background script, content scripts, sidebar and options page.
+// Values live in browser.storage.local, so every context sees changes live via onChange().
+
+const Settings = {
+  STORAGE_KEY: 'inat_settings',
+
+  // Keys that held preferences before this module existed, and how they map to settings
+  LEGACY_KEYS: {
+    inat_badge_colors: (stored) => ({
+      badgeBackgroundColor: stored.background,
+      badgeTextColor: stored.text
+    }),
+    inat_desktop_notifications: (stored) => ({
+      desktopMentions: stored.mention,
+      desktopComments: stored.comment,
+      desktopIdentifications: stored.identification,
+      quietHoursEnabled: stored.quietHours?.enabled,
+      quietHoursStart: stored.quietHours?.start,
+      quietHoursEnd: stored.quietHours?.end
+    })
+  },
+
+  // Setting definitions: type, default and constraints
+  // Types: boolean, number (integer, min/max), enum (values), color (#rrggbb), time (HH:MM)
+  SCHEMA: {
+    // Notification dropdown
+    hijackBell: { type: 'boolean', default: true },
+    bellHookIntervalMs: { type: 'number', default: 2000, min: 500, max: 60000 },
+    dropdownPageSize: { type: 'number', default: 50, min: 10, max: 200 },
+    defaultNotificationTab: { type: 'enum', default: 'mention', values: ['mention', 'comment', 'identification'] },
+
+    // Sidebar
+    sidebarPageSize: { type: 'number', default: 50, min: 10, max: 200 },
+    // Sort and grouping per panel, remembered from the sidebar (options listed in item-sort.js)
+    todoSort: { type: 'enum', default: 'added', values: ['added', 'due', 'priority', 'observed', 'species', 'observer', 'location', 'changed'] },
+    todoGroup: { type: 'enum', default: 'none', values: ['none', 'due', 'observer', 'place', 'species'] },
+    researchSort: { type: 'enum', default: 'added', values: ['added', 'observed', 'species', 'observer', 'location', 'changed'] },
+    researchGroup: { type: 'enum', default: 'none', values: ['none', 'observer', 'place', 'species', 'taxonomy'] },
+
+    // Background sync
+    syncIntervalMinutes: { type: 'number', default: 5, min: 1, max: 120 },
+    fetchApiV1: { type: 'boolean', default: true },
+    fetchJson: { type: 'boolean', default: true },
+    fetchHtml: { type: 'boolean', default: true },
+
+    // Saved items
+    itemRefreshHours: { type: 'number', default: 6, min: 1, max: 720 },
+    trashRetentionDays: { type: 'number', default: 30, min: 1, max: 365 },
+    cardButtons: { type: 'boolean', default: true },
+    savedBanner: { type: 'boolean', default: true },
+
+    // TODO reminders
+    remindersEnabled: { type: 'boolean', default: true },
+    reminderTime: { type: 'time', default: '09:00' },
+
+    // Toolbar badge
+    badgeEnabled: { type: 'boolean', default: true },
+    badgeBackgroundColor: { type: 'color', default: '#74ac00' },
+    badgeTextColor: { type: 'color', default: '#ffffff' },
+
+    // Desktop notifications
+    desktopMentions: { type: 'boolean', default: true },
+    desktopComments: { type: 'boolean', default: true },
+    desktopIdentifications: { type: 'boolean', default: false },
+    quietHoursEnabled: { type: 'boolean', default: false },
+    quietHoursStart: { type: 'time', default: '22:00' },
+    quietHoursEnd: { type: 'time', default: '07:00' }
+  },
+
+  // Get default values for every setting
+  getDefaults() {
+    const defaults = {};
+    for (const [key, def] of Object.entries(this.SCHEMA)) {
+      defaults[key] = def.default;
+    }
+    return defaults;
+  },
+
+  // Validate and coerce a value; throws if it can't be used
+  validate(key, value) {
+    const def = this.SCHEMA[key];
+    if (!def) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    switch (def.type) {
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (value === 'true' || value === 'false') return value === 'true';
+        break;
+
+      case 'number': {
+        const num = Number(value);
+        if (Number.isInteger(num) && num >= def.min && num <= def.max) return num;
+        throw new Error(`${key} must be a whole number from ${def.min} to ${def.max}`);
+      }
+
+      case 'enum':
+        if (def.values.includes(value)) return value;
+        throw new Error(`${key} must be one of: ${def.values.join(', ')}`);
+
+      case 'color':
+        if (/^#[0-9a-f]{6}$/i.test(value)) return value.toLowerCase();
+        throw new Error(`${key} must be a color like #74ac00`);
+
+      case 'time':
+        if (/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) return value;
+        throw new Error(`${key} must be a time like 22:00`);
+    }
+
+    throw new Error(`Invalid value for ${key}`);
+  },
+
+  // Merge stored values over defaults, dropping anything invalid
+  normalize(stored = {}) {
+    const settings = this.getDefaults();
+    for (const key of Object.keys(this.SCHEMA)) {
+      if (stored[key] === undefined) continue;
+      try {
+        settings[key] = this.validate(key, stored[key]);
+      } catch (e) {
+        console.warn('[iNat Links] Ignoring invalid setting:', e.message);
+      }
+    }
+    return settings;
+  },
+
+  // Get all settings
+  async getAll() {
+    const result = await browser.storage.local.get(this.STORAGE_KEY);
+    return this.normalize(result[this.STORAGE_KEY]);
+  },
+
+  // Get a single setting
+  async get(key) {
+    const settings = await this.getAll();
+    return settings[key];
+  },
+
+  // Validate and save changes; nothing is written if any value is invalid
+  async set(changes) {
+    const settings = await this.getAll();
+    for (const [key, value] of Object.entries(changes)) {
+      settings[key] = this.validate(key, value);
+    }
+    await browser.storage.local.set({ [this.STORAGE_KEY]: settings });
+    return settings;
+  },
+
+  // Restore defaults
+  async reset() {
+    const settings = this.getDefaults();
+    await browser.storage.local.set({ [this.STORAGE_KEY]: settings });
+    return settings;
+  },
+
+  // Move preferences saved under the legacy keys into settings, then remove those keys
+  // Values already in settings win; invalid ones are dropped by normalize()
+  async migrateLegacy() {
+    const legacyKeys = Object.keys(this.LEGACY_KEYS);
+    const result = await browser.storage.local.get([this.STORAGE_KEY, ...legacyKeys]);
+    const found = legacyKeys.filter(key => result[key]);
+    if (found.length === 0) return;
+
+    const stored = result[this.STORAGE_KEY] || {};
+    const migrated = {};
+    for (const key of found) {
+      for (const [setting, value] of Object.entries(this.LEGACY_KEYS[key](result[key]))) {
+        if (value !== undefined && stored[setting] === undefined) {
+          migrated[setting] = value;
+        }
+      }
+    }
+
+    await browser.storage.local.set({ [this.STORAGE_KEY]: this.normalize({ ...migrated, ...stored }) });
+    await browser.storage.local.remove(found);
+  },
+
+  // Call back with (settings, changedKeys) whenever settings change in any context
+  onChange(callback) {
+    browser.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[this.STORAGE_KEY]) return;
+
+      const oldSettings = this.normalize(changes[this.STORAGE_KEY].oldValue);
+      const newSettings = this.normalize(changes[this.STORAGE_KEY].newValue);
+      const changedKeys = Object.keys(newSettings).filter(key => newSettings[key] !== oldSettings[key]);
+
+      if (changedKeys.length > 0) {
+        callback(newSettings, changedKeys);
+      }
+    });
+  }
+};
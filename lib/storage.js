@@ -2,6 +2,14 @@
 
 const Storage = {
   STORAGE_KEY: 'inat_links_data',
+  // The data as it was before the last import, for undo
+  IMPORT_UNDO_KEY: 'inat_links_import_undo',
+  TRASH_PURGE_ALARM: 'trash-purge',
+
+  // Reads and writes of the data blob run one at a time, in order, so a write made
+  // between another operation's read and save can't be lost. Only the background
+  // script touches storage through this module; other contexts send it messages.
+  queue: Promise.resolve(),
 
   // Generate a simple UUID
   generateId() {
@@ -18,32 +26,123 @@ const Storage = {
     return match ? match[1] : null;
   },
 
-  // Get all data from storage
+  // Clean up tags: trimmed, no leading '#', de-duplicated ignoring case
+  normalizeTags(tags = []) {
+    const seen = new Set();
+    const result = [];
+
+    for (const raw of Array.isArray(tags) ? tags : String(tags).split(',')) {
+      const tag = String(raw).trim().replace(/^#+/, '').replace(/\s+/g, ' ');
+      const key = tag.toLowerCase();
+      if (tag && !seen.has(key)) {
+        seen.add(key);
+        result.push(tag);
+      }
+    }
+    return result;
+  },
+
+  // Run a task after every earlier queued task has finished
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  },
+
+  // Run mutator(data) on the latest data and save it, as one step in the queue
+  // Nothing is saved if the mutator throws; its return value is passed back
+  async transaction(mutator) {
+    return this.enqueue(async () => {
+      const data = await this.readData();
+      const result = await mutator(data);
+
+      data.revision = (data.revision || 0) + 1;
+      await browser.storage.local.set({ [this.STORAGE_KEY]: data });
+      return result;
+    });
+  },
+
+  // Get all data, after any pending writes
   async getData() {
+    return this.enqueue(() => this.readData());
+  },
+
+  // Read data from storage, upgrading it first if it's from an older schema
+  // Only call from inside the queue
+  async readData() {
     const result = await browser.storage.local.get(this.STORAGE_KEY);
-    return result[this.STORAGE_KEY] || { version: 1, items: [] };
+    const data = result[this.STORAGE_KEY];
+
+    if (!data) {
+      return { version: Migrations.CURRENT_VERSION, items: [], lists: [], trash: [], savedSearches: [] };
+    }
+    if (Migrations.needsMigration(data)) {
+      return this.migrateStored(data);
+    }
+    return data;
   },
 
-  // Save all data to storage
+  // Upgrade stored data to the current schema, keeping the original as a backup
+  async migrateStored(data) {
+    const { data: migrated, report } = Migrations.migrate(data);
+
+    await browser.storage.local.set({
+      [Migrations.BACKUP_KEY]: { createdAt: new Date().toISOString(), report, data },
+      [this.STORAGE_KEY]: migrated
+    });
+
+    console.log('[iNat Links] Migrated stored data:', Migrations.summarize(report));
+    if (report.rejected.length > 0) {
+      console.warn('[iNat Links] Items rejected during migration:', report.rejected);
+    }
+    return migrated;
+  },
+
+  // Get the pre-migration backup, if any
+  async getBackup() {
+    const result = await browser.storage.local.get(Migrations.BACKUP_KEY);
+    return result[Migrations.BACKUP_KEY] || null;
+  },
+
+  // Put the pre-migration data back; it is migrated again on the next read
+  async restoreBackup() {
+    const backup = await this.getBackup();
+
+    if (!backup) {
+      throw new Error('No backup to restore');
+    }
+
+    await this.saveData(backup.data);
+    return this.getData();
+  },
+
+  // Replace all data in storage
   async saveData(data) {
-    await browser.storage.local.set({ [this.STORAGE_KEY]: data });
+    return this.enqueue(() => browser.storage.local.set({ [this.STORAGE_KEY]: data }));
   },
 
   // Add a TODO item
   async addTodo(url, note = '', metadata = {}) {
-    const data = await this.getData();
-    const observationId = this.extractObservationId(url);
+    return this.transaction(data => {
+      const observationId = this.extractObservationId(url);
 
-    if (!observationId) {
-      throw new Error('Invalid iNaturalist observation URL');
-    }
+      if (!observationId) {
+        throw new Error('Invalid iNaturalist observation URL');
+      }
 
-    // Check for duplicate
-    if (data.items.some(item => item.observationId === observationId)) {
-      throw new Error('Observation already saved');
-    }
+      // Check for duplicate
+      if (data.items.some(item => item.observationId === observationId)) {
+        throw new Error('Observation already saved');
+      }
 
-    const item = {
+      const item = this.buildTodo(url, observationId, note, metadata);
+      data.items.push(item);
+      return item;
+    });
+  },
+
+  buildTodo(url, observationId, note = '', metadata = {}) {
+    return {
       id: this.generateId(),
       type: 'todo',
       url,
@@ -51,30 +150,37 @@ const Storage = {
       note,
       createdAt: new Date().toISOString(),
       completed: false,
+      dueDate: DueDates.normalizeDate(metadata.dueDate),
+      priority: DueDates.normalizePriority(metadata.priority),
       species: metadata.species || null,
-      commonName: metadata.commonName || null
+      commonName: metadata.commonName || null,
+      tags: this.normalizeTags(metadata.tags),
+      lists: metadata.lists || []
     };
-
-    data.items.push(item);
-    await this.saveData(data);
-    return item;
   },
 
   // Add a Research item
   async addResearch(url, metadata = {}) {
-    const data = await this.getData();
-    const observationId = this.extractObservationId(url);
+    return this.transaction(data => {
+      const observationId = this.extractObservationId(url);
 
-    if (!observationId) {
-      throw new Error('Invalid iNaturalist observation URL');
-    }
+      if (!observationId) {
+        throw new Error('Invalid iNaturalist observation URL');
+      }
 
-    // Check for duplicate
-    if (data.items.some(item => item.observationId === observationId)) {
-      throw new Error('Observation already saved');
-    }
+      // Check for duplicate
+      if (data.items.some(item => item.observationId === observationId)) {
+        throw new Error('Observation already saved');
+      }
 
-    const item = {
+      const item = this.buildResearch(url, observationId, metadata);
+      data.items.push(item);
+      return item;
+    });
+  },
+
+  buildResearch(url, observationId, metadata = {}) {
+    return {
       id: this.generateId(),
       type: 'research',
       url,
@@ -86,58 +192,469 @@ const Storage = {
       observer: metadata.observer || null,
       observationDate: metadata.observationDate || null,
       location: metadata.location || null,
-      thumbnailUrl: metadata.thumbnailUrl || null
+      thumbnailUrl: metadata.thumbnailUrl || null,
+      tags: this.normalizeTags(metadata.tags),
+      lists: metadata.lists || []
     };
+  },
 
-    data.items.push(item);
-    await this.saveData(data);
-    return item;
+  // Save an observation, or if it's already saved, add the note to the end of its note
+  // Checking and adding happen in one transaction, so two quick saves can't both add it
+  // Returns { item, added }
+  async saveOrAppendNote(type, url, note = '') {
+    return this.transaction(data => {
+      const observationId = this.extractObservationId(url);
+
+      if (!observationId) {
+        throw new Error('Invalid iNaturalist observation URL');
+      }
+
+      const existing = data.items.find(item => item.observationId === observationId);
+      if (existing) {
+        if (note) {
+          existing.note = existing.note ? `${existing.note}\n\n${note}` : note;
+        }
+        return { item: existing, added: false };
+      }
+
+      const item = type === 'todo'
+        ? this.buildTodo(url, observationId, note)
+        : this.buildResearch(url, observationId, { note });
+      data.items.push(item);
+      return { item, added: true };
+    });
+  },
+
+  // Get the saved item for an observation URL, or null
+  async findByUrl(url) {
+    const observationId = this.extractObservationId(url || '');
+    if (!observationId) return null;
+
+    const data = await this.getData();
+    return data.items.find(item => item.observationId === observationId) || null;
+  },
+
+  // Map of every saved observation ID to its item type, for marking saved observations on iNat pages
+  async getSavedObservations() {
+    const data = await this.getData();
+    return Object.fromEntries(data.items.map(item => [item.observationId, item.type]));
   },
 
   // Mark a TODO as complete
   async markComplete(id) {
-    const data = await this.getData();
-    const item = data.items.find(i => i.id === id);
+    return this.transaction(data => {
+      const item = data.items.find(i => i.id === id);
 
-    if (!item) {
-      throw new Error('Item not found');
-    }
+      if (!item) {
+        throw new Error('Item not found');
+      }
 
-    if (item.type !== 'todo') {
-      throw new Error('Only TODO items can be marked complete');
-    }
+      if (item.type !== 'todo') {
+        throw new Error('Only TODO items can be marked complete');
+      }
 
-    item.completed = true;
-    item.completedAt = new Date().toISOString();
-    await this.saveData(data);
-    return item;
+      item.completed = true;
+      item.completedAt = new Date().toISOString();
+      return item;
+    });
+  },
+
+  // Mark a completed TODO as not done again
+  async reopen(id) {
+    return this.transaction(data => {
+      const item = data.items.find(i => i.id === id);
+
+      if (!item) {
+        throw new Error('Item not found');
+      }
+
+      if (item.type !== 'todo') {
+        throw new Error('Only TODO items can be reopened');
+      }
+
+      item.completed = false;
+      item.completedAt = null;
+      return item;
+    });
   },
 
   // Update note on an item
   async updateNote(id, note) {
-    const data = await this.getData();
-    const item = data.items.find(i => i.id === id);
+    return this.transaction(data => {
+      const item = data.items.find(i => i.id === id);
+
+      if (!item) {
+        throw new Error('Item not found');
+      }
 
-    if (!item) {
-      throw new Error('Item not found');
+      item.note = note;
+      return item;
+    });
+  },
+
+  // Update the user-editable fields of an item (note, tags, lists, dueDate, priority)
+  async updateItem(id, changes) {
+    return this.transaction(data => {
+      const item = data.items.find(i => i.id === id);
+
+      if (!item) {
+        throw new Error('Item not found');
+      }
+
+      if (changes.note !== undefined) {
+        item.note = changes.note;
+      }
+      if (changes.tags !== undefined) {
+        item.tags = this.normalizeTags(changes.tags);
+      }
+      if (changes.lists !== undefined) {
+        const listIds = new Set((data.lists || []).map(list => list.id));
+        item.lists = changes.lists.filter(listId => listIds.has(listId));
+      }
+      // Due date and priority only apply to TODOs; they're ignored for Research items
+      const isTodo = item.type === 'todo';
+      if (isTodo && changes.dueDate !== undefined) {
+        const dueDate = DueDates.normalizeDate(changes.dueDate);
+        if (dueDate !== item.dueDate) {
+          item.dueDate = dueDate;
+          // A new due date gets its own reminder
+          item.reminderSentAt = null;
+        }
+      }
+      if (isTodo && changes.priority !== undefined) {
+        item.priority = DueDates.normalizePriority(changes.priority);
+      }
+
+      return item;
+    });
+  },
+
+  // Get every tag in use with how many items carry it, optionally for one type
+  async getTags(type) {
+    const data = await this.getData();
+    const counts = new Map();
+
+    for (const item of data.items) {
+      if (type && item.type !== type) continue;
+      for (const tag of item.tags || []) {
+        const key = tag.toLowerCase();
+        const entry = counts.get(key) || { name: tag, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+      }
     }
 
-    item.note = note;
-    await this.saveData(data);
-    return item;
+    return [...counts.values()].sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  // Get user-created lists
+  async getLists() {
+    const data = await this.getData();
+    return data.lists || [];
+  },
+
+  // Create a named list
+  async createList(name) {
+    return this.transaction(data => {
+      data.lists = data.lists || [];
+      const trimmed = (name || '').trim();
+
+      if (!trimmed) {
+        throw new Error('List name is required');
+      }
+      if (data.lists.some(list => list.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error('A list with that name already exists');
+      }
+
+      const list = {
+        id: this.generateId(),
+        name: trimmed,
+        createdAt: new Date().toISOString()
+      };
+
+      data.lists.push(list);
+      return list;
+    });
   },
 
-  // Delete an item
+  // Rename a list
+  async renameList(id, name) {
+    return this.transaction(data => {
+      const list = (data.lists || []).find(l => l.id === id);
+      const trimmed = (name || '').trim();
+
+      if (!list) {
+        throw new Error('List not found');
+      }
+      if (!trimmed) {
+        throw new Error('List name is required');
+      }
+      if (data.lists.some(l => l.id !== id && l.name.toLowerCase() === trimmed.toLowerCase())) {
+        throw new Error('A list with that name already exists');
+      }
+
+      list.name = trimmed;
+      return list;
+    });
+  },
+
+  // Delete a list; its items stay, they just leave the list
+  async deleteList(id) {
+    return this.transaction(data => {
+      const index = (data.lists || []).findIndex(l => l.id === id);
+
+      if (index === -1) {
+        throw new Error('List not found');
+      }
+
+      data.lists.splice(index, 1);
+      for (const item of data.items) {
+        if (item.lists?.includes(id)) {
+          item.lists = item.lists.filter(listId => listId !== id);
+        }
+      }
+    });
+  },
+
+  // Merge API metadata into every item for the matching observation
+  // and record what changed since the item was saved or last reviewed
+  // Returns how many items were updated
+  async applyMetadata(metadataByObservationId) {
+    return this.transaction(data => {
+      let updated = 0;
+
+      for (const item of data.items) {
+        const metadata = metadataByObservationId[item.observationId];
+        if (metadata) {
+          Object.assign(item, metadata);
+          ChangeTracker.update(item);
+          updated++;
+        }
+      }
+
+      return updated;
+    });
+  },
+
+  // Accept an item's current state as reviewed (clears its changes)
+  async markReviewed(id) {
+    return this.transaction(data => {
+      const item = data.items.find(i => i.id === id);
+
+      if (!item) {
+        throw new Error('Item not found');
+      }
+
+      ChangeTracker.markReviewed(item);
+      return item;
+    });
+  },
+
+  // Move an item to the trash
   async deleteItem(id) {
+    return this.transaction(data => {
+      const index = data.items.findIndex(i => i.id === id);
+
+      if (index === -1) {
+        throw new Error('Item not found');
+      }
+
+      const [item] = data.items.splice(index, 1);
+      item.deletedAt = new Date().toISOString();
+      data.trash.push(item);
+      return item;
+    });
+  },
+
+  // Batch operations: each runs as one transaction for the whole selection
+  // fn(item) returns true if it changed the item; the changed items are returned
+  async updateItems(ids, fn) {
+    return this.transaction(data => {
+      const idSet = new Set(ids);
+      return data.items.filter(item => idSet.has(item.id) && fn(item));
+    });
+  },
+
+  // Mark TODOs complete
+  async completeItems(ids) {
+    const now = new Date().toISOString();
+    return this.updateItems(ids, item => {
+      if (item.type !== 'todo' || item.completed) return false;
+      item.completed = true;
+      item.completedAt = now;
+      return true;
+    });
+  },
+
+  // Mark completed TODOs as not done
+  async reopenItems(ids) {
+    return this.updateItems(ids, item => {
+      if (item.type !== 'todo' || !item.completed) return false;
+      item.completed = false;
+      item.completedAt = null;
+      return true;
+    });
+  },
+
+  // Record that reminders were sent for TODOs
+  async markReminded(ids) {
+    const now = new Date().toISOString();
+    return this.updateItems(ids, item => {
+      item.reminderSentAt = now;
+      return true;
+    });
+  },
+
+  // Add tags to items
+  async tagItems(ids, tags) {
+    const added = this.normalizeTags(tags);
+    return this.updateItems(ids, item => {
+      const merged = this.normalizeTags([...(item.tags || []), ...added]);
+      if (merged.length === (item.tags || []).length) return false;
+      item.tags = merged;
+      return true;
+    });
+  },
+
+  // Switch an item between TODO and Research in place
+  // Notes, tags and completion state are kept so converting back loses nothing
+  convert(item, type) {
+    const now = new Date().toISOString();
+
+    if (type === 'research') {
+      // Research fields a TODO may not have yet; enrichment fills them in
+      for (const field of ['observer', 'observationDate', 'location', 'thumbnailUrl']) {
+        if (item[field] === undefined) item[field] = null;
+      }
+    } else if (typeof item.completed !== 'boolean') {
+      item.completed = false;
+    }
+
+    item.history = [...(item.history || []), { action: 'converted', from: item.type, to: type, at: now }];
+    item.type = type;
+    item.convertedAt = now;
+  },
+
+  // Convert one item between TODO and Research
+  async convertItem(id, type) {
+    if (!Migrations.ITEM_TYPES.includes(type)) {
+      throw new Error(`Unknown item type: ${type}`);
+    }
+
+    return this.transaction(data => {
+      const item = data.items.find(i => i.id === id);
+
+      if (!item) {
+        throw new Error('Item not found');
+      }
+      if (item.type === type) {
+        throw new Error(`Item is already ${type === 'todo' ? 'a TODO' : 'in Research'}`);
+      }
+
+      this.convert(item, type);
+      return item;
+    });
+  },
+
+  // Convert items to TODO or Research
+  async moveItems(ids, type) {
+    if (!Migrations.ITEM_TYPES.includes(type)) {
+      throw new Error(`Unknown item type: ${type}`);
+    }
+
+    return this.updateItems(ids, item => {
+      if (item.type === type) return false;
+      this.convert(item, type);
+      return true;
+    });
+  },
+
+  // Move items to the trash
+  async deleteItems(ids) {
+    return this.transaction(data => {
+      const idSet = new Set(ids);
+      const now = new Date().toISOString();
+      const deleted = data.items.filter(item => idSet.has(item.id));
+
+      data.items = data.items.filter(item => !idSet.has(item.id));
+      for (const item of deleted) {
+        item.deletedAt = now;
+        data.trash.push(item);
+      }
+      return deleted;
+    });
+  },
+
+  // Move items back from the trash, skipping observations that were saved again since
+  async restoreItems(ids) {
+    return this.transaction(data => {
+      const idSet = new Set(ids);
+      const saved = new Set(data.items.map(item => item.observationId));
+      const restored = [];
+
+      data.trash = data.trash.filter(item => {
+        if (!idSet.has(item.id) || saved.has(item.observationId)) return true;
+        delete item.deletedAt;
+        data.items.push(item);
+        restored.push(item);
+        return false;
+      });
+      return restored;
+    });
+  },
+
+  // Get trashed items, most recently deleted first
+  async getTrash() {
     const data = await this.getData();
-    const index = data.items.findIndex(i => i.id === id);
+    return [...data.trash].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  },
+
+  // Move an item from the trash back into its list
+  async restoreItem(id) {
+    return this.transaction(data => {
+      const index = data.trash.findIndex(i => i.id === id);
+
+      if (index === -1) {
+        throw new Error('Item not found in trash');
+      }
 
-    if (index === -1) {
-      throw new Error('Item not found');
+      const item = data.trash[index];
+      if (data.items.some(i => i.observationId === item.observationId)) {
+        throw new Error('Observation already saved');
+      }
+
+      data.trash.splice(index, 1);
+      delete item.deletedAt;
+      data.items.push(item);
+      return item;
+    });
+  },
+
+  // Permanently delete one trashed item, or the whole trash if no id is given
+  async purgeTrash(id) {
+    return this.transaction(data => {
+      const before = data.trash.length;
+      data.trash = id ? data.trash.filter(i => i.id !== id) : [];
+      return before - data.trash.length;
+    });
+  },
+
+  // Permanently delete items that have been in the trash longer than maxAgeDays
+  async purgeExpiredTrash(maxAgeDays) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+    const expired = item => new Date(item.deletedAt).getTime() < cutoff;
+
+    // Skip the write (and the change events it fires) when nothing has expired
+    const data = await this.getData();
+    if (!data.trash.some(expired)) {
+      return 0;
     }
 
-    data.items.splice(index, 1);
-    await this.saveData(data);
+    return this.transaction(latest => {
+      const before = latest.trash.length;
+      latest.trash = latest.trash.filter(item => !expired(item));
+      return before - latest.trash.length;
+    });
   },
 
   // Get items by type
@@ -146,39 +663,145 @@ const Storage = {
     return data.items.filter(item => item.type === type);
   },
 
-  // Search items
-  async search(query) {
+  // Check an item against filters: type, tags (all must be present) and listId
+  matchesFilters(item, filters = {}) {
+    if (filters.type && item.type !== filters.type) return false;
+    if (filters.listId && !item.lists?.includes(filters.listId)) return false;
+    if (filters.taxonId && !Taxa.isUnder(item, filters.taxonId)) return false;
+    if (filters.tags?.length) {
+      const itemTags = (item.tags || []).map(tag => tag.toLowerCase());
+      if (!filters.tags.every(tag => itemTags.includes(tag.toLowerCase()))) return false;
+    }
+    return true;
+  },
+
+  // Search items with the query language in search-query.js, narrowed by optional filters
+  async search(query = '', filters = {}) {
+    const data = await this.getData();
+    const parsed = SearchQuery.parse(query);
+    const context = { lists: data.lists };
+
+    return data.items.filter(item =>
+      this.matchesFilters(item, filters) && SearchQuery.matches(item, parsed, context)
+    );
+  },
+
+  // Get saved searches, in the order they were pinned
+  async getSavedSearches() {
     const data = await this.getData();
-    const lowerQuery = query.toLowerCase();
+    return data.savedSearches;
+  },
+
+  // Pin a search; saving an existing name updates its query
+  async saveSearch(name, query) {
+    return this.transaction(data => {
+      const trimmed = (name || '').trim();
+      if (!trimmed) {
+        throw new Error('Search name is required');
+      }
+      if (!query?.trim()) {
+        throw new Error('Search query is required');
+      }
+
+      const existing = data.savedSearches.find(s => s.name.toLowerCase() === trimmed.toLowerCase());
+      if (existing) {
+        existing.query = query.trim();
+        return existing;
+      }
+
+      const search = {
+        id: this.generateId(),
+        name: trimmed,
+        query: query.trim(),
+        createdAt: new Date().toISOString()
+      };
+      data.savedSearches.push(search);
+      return search;
+    });
+  },
 
-    return data.items.filter(item => {
-      return (
-        item.note?.toLowerCase().includes(lowerQuery) ||
-        item.species?.toLowerCase().includes(lowerQuery) ||
-        item.commonName?.toLowerCase().includes(lowerQuery) ||
-        item.observer?.toLowerCase().includes(lowerQuery) ||
-        item.location?.toLowerCase().includes(lowerQuery) ||
-        item.observationId.includes(query)
-      );
+  // Unpin a saved search
+  async deleteSavedSearch(id) {
+    return this.transaction(data => {
+      data.savedSearches = data.savedSearches.filter(s => s.id !== id);
     });
   },
 
   // Export data for backup
-  async exportData() {
+  // options.ids limits the export to those items (the result still imports as a backup)
+  async exportData(options = {}) {
     const data = await this.getData();
+    if (options.ids) {
+      const idSet = new Set(options.ids);
+      data.items = data.items.filter(item => idSet.has(item.id));
+      data.trash = [];
+    }
     data.exportedAt = new Date().toISOString();
     return JSON.stringify(data, null, 2);
   },
 
-  // Import data from backup
-  async importData(jsonString) {
-    const imported = JSON.parse(jsonString);
-
-    if (!imported.version || !Array.isArray(imported.items)) {
-      throw new Error('Invalid backup file format');
+  // Export Research items as CSV or Darwin Core, optionally filtered by a search query, tags, list or ids
+  async exportResearch(format, options = {}) {
+    let items = await this.search(options.query || '', {
+      type: 'research',
+      tags: options.tags,
+      listId: options.listId
+    });
+    if (options.ids) {
+      const idSet = new Set(options.ids);
+      items = items.filter(item => idSet.has(item.id));
     }
 
-    await this.saveData(imported);
-    return imported;
+    items.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    return {
+      count: items.length,
+      content: Exporter.toCsv(items, format, options.columns || [])
+    };
+  },
+
+  // Work out what importing a backup would change without writing anything
+  // mode is 'replace', 'merge' or 'append' (see ImportMerge)
+  async previewImport(jsonString, mode = 'replace') {
+    const { data: incoming, report } = Migrations.migrate(JSON.parse(jsonString));
+    const plan = ImportMerge.plan(await this.getData(), incoming, mode);
+    return { ...plan, report };
+  },
+
+  // Import data from backup, upgrading and validating it first
+  // options: mode, plus resolution/resolutions for merge conflicts (see ImportMerge.apply)
+  // Returns what was imported and the migration report
+  async importData(jsonString, options = {}) {
+    const { data: incoming, report } = Migrations.migrate(JSON.parse(jsonString));
+
+    return this.transaction(async current => {
+      const plan = ImportMerge.plan(current, incoming, options.mode || 'replace');
+      await browser.storage.local.set({
+        [this.IMPORT_UNDO_KEY]: { createdAt: new Date().toISOString(), data: current }
+      });
+      Object.assign(current, ImportMerge.apply(current, plan, options));
+
+      return {
+        mode: plan.mode,
+        added: plan.added.length,
+        updated: plan.updated.length + plan.conflicts.length,
+        report
+      };
+    });
+  },
+
+  // Put back the data from before the last import
+  async undoImport() {
+    return this.transaction(async data => {
+      const result = await browser.storage.local.get(this.IMPORT_UNDO_KEY);
+      const snapshot = result[this.IMPORT_UNDO_KEY];
+
+      if (!snapshot) {
+        throw new Error('Nothing to undo');
+      }
+
+      await browser.storage.local.remove(this.IMPORT_UNDO_KEY);
+      Object.assign(data, snapshot.data, { revision: data.revision });
+      return data.items.length;
+    });
   }
 };
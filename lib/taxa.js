@@ -0,0 +1,110 @@
+// Taxon names for the Research taxonomy tree (api.inaturalist.org/v1/taxa)
+// Items carry only taxon IDs (taxonId and taxonAncestry, see item-enricher.js); names and
+// ranks are looked up here and cached, since they hardly ever change
+
+const Taxa = {
+  STORAGE_KEY: 'inat_links_taxa',
+  BATCH_SIZE: 30,
+
+  // Ranks shown as tree levels; items at other ranks sit under their nearest shown ancestor
+  TREE_RANKS: ['kingdom', 'phylum', 'class', 'order', 'family', 'genus', 'species'],
+
+  async getCached() {
+    const result = await browser.storage.local.get(this.STORAGE_KEY);
+    return result[this.STORAGE_KEY] || {};
+  },
+
+  // Names and ranks for the given taxon IDs, fetching any not cached yet
+  async get(ids) {
+    const cached = await this.getCached();
+    const missing = [...new Set(ids)].filter(id => id && !cached[id]);
+
+    if (missing.length > 0) {
+      for (let i = 0; i < missing.length; i += this.BATCH_SIZE) {
+        const batch = missing.slice(i, i + this.BATCH_SIZE);
+        try {
+          const response = await fetch(`https://api.inaturalist.org/v1/taxa/${batch.join(',')}`);
+          if (!response.ok) continue;
+
+          const data = await response.json();
+          for (const taxon of (data.results || [])) {
+            cached[taxon.id] = this.fromApi(taxon);
+          }
+        } catch (err) {
+          console.warn('[iNat Links] Error fetching taxa:', err);
+        }
+      }
+      await browser.storage.local.set({ [this.STORAGE_KEY]: cached });
+    }
+
+    const taxa = {};
+    for (const id of ids) {
+      if (cached[id]) taxa[id] = cached[id];
+    }
+    return taxa;
+  },
+
+  fromApi(taxon) {
+    return {
+      id: taxon.id,
+      name: taxon.name,
+      rank: taxon.rank,
+      commonName: taxon.preferred_common_name || null
+    };
+  },
+
+  // Every taxon ID an item sits under, including its own
+  getLineage(item) {
+    const lineage = item.taxonAncestry?.length ? item.taxonAncestry : [];
+    if (item.taxonId && !lineage.includes(item.taxonId)) return [...lineage, item.taxonId];
+    return lineage;
+  },
+
+  isUnder(item, taxonId) {
+    return this.getLineage(item).includes(Number(taxonId));
+  },
+
+  // Build a tree of { taxon, count, children, items } from items and their cached taxa
+  // Counts include everything below a node; items without a taxon are returned separately
+  buildTree(items, taxa) {
+    const root = { taxon: null, count: 0, children: [], items: [] };
+    const unplaced = [];
+
+    for (const item of items) {
+      const path = this.getLineage(item)
+        .map(id => taxa[id])
+        .filter(taxon => taxon && this.TREE_RANKS.includes(taxon.rank));
+
+      if (path.length === 0) {
+        unplaced.push(item);
+        continue;
+      }
+
+      let node = root;
+      for (const taxon of path) {
+        let child = node.children.find(c => c.taxon.id === taxon.id);
+        if (!child) {
+          child = { taxon, count: 0, children: [], items: [] };
+          node.children.push(child);
+        }
+        child.count++;
+        node = child;
+      }
+      node.items.push(item);
+      root.count++;
+    }
+
+    this.sortTree(root);
+    return { roots: root.children, unplaced };
+  },
+
+  sortTree(node) {
+    node.children.sort((a, b) => a.taxon.name.localeCompare(b.taxon.name));
+    node.children.forEach(child => this.sortTree(child));
+  },
+
+  // e.g. "genus Quercus"
+  getLabel(taxon) {
+    return `${taxon.rank} ${taxon.name}`;
+  }
+};
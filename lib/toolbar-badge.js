@@ -0,0 +1,38 @@
+// Toolbar badge showing the unread notification count
+// Driven by the background notification cache (see notification-cache.js)
+
+const ToolbarBadge = {
+  DEFAULT_TITLE: 'Add to iNat Links',
+
+  // Unread counts by category from the cached notifications
+  async getUnreadCounts() {
+    const state = await NotificationCache.getState();
+    return NotificationCache.toStore(state).getUnreadCounts();
+  },
+
+  // Build the tooltip with a per-category breakdown
+  buildTitle(counts) {
+    if (counts.total === 0) return this.DEFAULT_TITLE;
+
+    const parts = [
+      `${counts.mention} mention${counts.mention === 1 ? '' : 's'}`,
+      `${counts.comment} comment${counts.comment === 1 ? '' : 's'}`,
+      `${counts.identification} ID${counts.identification === 1 ? '' : 's'}`
+    ];
+    return `${this.DEFAULT_TITLE}\n${counts.total} unread: ${parts.join(', ')}`;
+  },
+
+  // Recompute the badge from the cache (colors come from Settings)
+  async refresh() {
+    const [counts, settings] = await Promise.all([this.getUnreadCounts(), Settings.getAll()]);
+    const showCount = settings.badgeEnabled && counts.total > 0;
+
+    await browser.browserAction.setBadgeText({
+      text: showCount ? (counts.total > 99 ? '99+' : String(counts.total)) : ''
+    });
+    await browser.browserAction.setBadgeBackgroundColor({ color: settings.badgeBackgroundColor });
+    await browser.browserAction.setBadgeTextColor({ color: settings.badgeTextColor });
+    await browser.browserAction.setTitle({ title: this.buildTitle(counts) });
+    return counts;
+  }
+};
@@ -0,0 +1,81 @@
+// Options page for iNaturalist Link Manager
+// Each form field's name matches a key in Settings.SCHEMA
+
+let statusTimer;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  fillForm(await Settings.getAll());
+  setupForm();
+  setupBackup();
+
+  // Reflect changes saved elsewhere (e.g. another options tab)
+  Settings.onChange((settings) => fillForm(settings));
+});
+
+function fillForm(settings) {
+  document.querySelectorAll('#settings-form [name]').forEach(input => {
+    const value = settings[input.name];
+    if (input.type === 'checkbox') {
+      input.checked = value;
+    } else {
+      input.value = value;
+    }
+  });
+}
+
+function setupForm() {
+  document.querySelectorAll('#settings-form [name]').forEach(input => {
+    input.addEventListener('change', async () => {
+      const value = input.type === 'checkbox' ? input.checked : input.value;
+
+      try {
+        await Settings.set({ [input.name]: value });
+        input.classList.remove('invalid');
+        showStatus('Saved');
+      } catch (error) {
+        input.classList.add('invalid');
+        showStatus(error.message, true);
+      }
+    });
+  });
+
+  document.getElementById('reset-btn').addEventListener('click', async () => {
+    if (!confirm('Restore all settings to their defaults?')) return;
+    fillForm(await Settings.reset());
+    showStatus('Defaults restored');
+  });
+}
+
+// Saved data is upgraded in place when the schema changes; offer the original back
+async function setupBackup() {
+  const backup = await browser.runtime.sendMessage({ action: 'getBackup' });
+  if (!backup) return;
+
+  const date = new Date(backup.createdAt).toLocaleString();
+  const summary = Migrations.summarize(backup.report);
+  document.getElementById('backup-info').textContent =
+    `Last upgrade (${date}): ${summary || 'no changes needed'}. The data from before it is kept as a backup.`;
+  document.getElementById('backup-section').hidden = false;
+
+  document.getElementById('restore-backup-btn').addEventListener('click', async () => {
+    if (!confirm('Replace your saved items with the pre-migration backup? Changes made since then are lost.')) return;
+
+    try {
+      await browser.runtime.sendMessage({ action: 'restoreBackup' });
+      showStatus('Backup restored');
+    } catch (error) {
+      showStatus(error.message, true);
+    }
+  });
+}
+
+function showStatus(text, isError = false) {
+  const status = document.getElementById('status');
+  status.textContent = text;
+  status.classList.toggle('error', isError);
+
+  clearTimeout(statusTimer);
+  if (!isError) {
+    statusTimer = setTimeout(() => { status.textContent = ''; }, 2000);
+  }
+}
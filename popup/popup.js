@@ -0,0 +1,196 @@
+// Browser action popup: save the current observation with a type, note and tags,
+// or edit it if it's already saved
+
+let currentTab = null;
+let metadata = {};
+let savedItem = null;
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const tabs = await browser.tabs.query({ active: true, currentWindow: true });
+  currentTab = tabs[0];
+
+  document.getElementById('open-sidebar').addEventListener('click', openSidebar);
+  document.getElementById('open-sidebar-link').addEventListener('click', openSidebar);
+
+  if (!currentTab?.url?.match(/inaturalist\.org\/observations\/\d+/)) {
+    document.getElementById('not-observation').hidden = false;
+    return;
+  }
+
+  setupForm();
+  setupKeyboard();
+  await loadObservation();
+});
+
+function openSidebar() {
+  // Must run straight from the click for the browser to allow it
+  browser.sidebarAction.open();
+  window.close();
+}
+
+function setupForm() {
+  const form = document.getElementById('quick-add');
+
+  document.getElementById('priority').innerHTML = DueDates.PRIORITIES
+    .map(p => `<option value="${p}" ${p === 'normal' ? 'selected' : ''}>${p[0].toUpperCase() + p.slice(1)}</option>`)
+    .join('');
+
+  form.querySelectorAll('input[name="type"]').forEach(input => {
+    input.addEventListener('change', updateDueFields);
+  });
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    save();
+  });
+}
+
+// Ctrl+Enter saves from anywhere (including the note), Alt+T / Alt+R pick the type
+function setupKeyboard() {
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      save();
+    } else if (e.altKey && ['t', 'r'].includes(e.key.toLowerCase())) {
+      e.preventDefault();
+      setType(e.key.toLowerCase() === 't' ? 'todo' : 'research');
+    } else if (e.key === 'Escape') {
+      window.close();
+    }
+  });
+}
+
+async function loadObservation() {
+  const [item, lists] = await Promise.all([
+    browser.runtime.sendMessage({ action: 'findItem', url: currentTab.url }),
+    browser.runtime.sendMessage({ action: 'getLists' })
+  ]);
+  savedItem = item;
+
+  // The content script may not be ready yet (e.g. the page is still loading)
+  try {
+    metadata = await browser.tabs.sendMessage(currentTab.id, { action: 'getMetadata' }) || {};
+  } catch (error) {
+    console.warn('[iNat Links] Could not read page metadata:', error);
+    metadata = {};
+  }
+
+  renderObservation();
+  renderLists(lists);
+
+  if (savedItem) {
+    fillForm(savedItem);
+  }
+  updateDueFields();
+
+  document.getElementById('quick-add').hidden = false;
+  document.getElementById('note').focus();
+}
+
+// Saved details win over what the page shows, since they come from the API
+function renderObservation() {
+  const details = { ...metadata };
+  for (const key of ['species', 'commonName', 'observer', 'observationDate', 'location', 'thumbnailUrl']) {
+    if (savedItem?.[key]) details[key] = savedItem[key];
+  }
+
+  const observationId = currentTab.url.match(/observations\/(\d+)/)[1];
+  document.getElementById('obs-title').textContent =
+    details.species || details.commonName || `Observation #${observationId}`;
+
+  const meta = [
+    details.species && details.commonName,
+    details.observer && `by ${details.observer}`,
+    details.location,
+    details.observationDate && new Date(details.observationDate).toLocaleDateString()
+  ].filter(Boolean);
+  document.getElementById('obs-meta').textContent = meta.join(' · ');
+
+  const thumbnail = document.getElementById('obs-thumbnail');
+  if (details.thumbnailUrl) {
+    thumbnail.src = details.thumbnailUrl;
+    thumbnail.hidden = false;
+  }
+}
+
+function renderLists(lists) {
+  const container = document.getElementById('lists');
+  document.getElementById('lists-group').hidden = lists.length === 0;
+
+  for (const list of lists) {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = list.id;
+    label.append(checkbox, ` ${list.name}`);
+    container.appendChild(label);
+  }
+}
+
+// Already saved: show its current values and switch to editing
+function fillForm(item) {
+  const added = new Date(item.createdAt).toLocaleDateString();
+  const status = document.getElementById('saved-status');
+  status.textContent = `Saved as ${item.type === 'todo' ? 'TODO' : 'Research'} on ${added}` +
+    (item.completed ? ' (completed)' : '');
+  status.hidden = false;
+
+  setType(item.type);
+  document.getElementById('note').value = item.note || '';
+  document.getElementById('due-date').value = item.dueDate || '';
+  document.getElementById('priority').value = item.priority || 'normal';
+  document.getElementById('tags').value = (item.tags || []).join(', ');
+  document.querySelectorAll('#lists input').forEach(input => {
+    input.checked = (item.lists || []).includes(input.value);
+  });
+  document.getElementById('save').textContent = 'Save';
+}
+
+function getType() {
+  return document.querySelector('input[name="type"]:checked').value;
+}
+
+function setType(type) {
+  document.querySelector(`input[name="type"][value="${type}"]`).checked = true;
+  updateDueFields();
+}
+
+// Due date and priority only apply to TODOs
+function updateDueFields() {
+  document.getElementById('due-fields').hidden = getType() !== 'todo';
+}
+
+async function save() {
+  const type = getType();
+  const note = document.getElementById('note').value.trim();
+  const tags = document.getElementById('tags').value.split(',');
+  const lists = Array.from(document.querySelectorAll('#lists input:checked')).map(input => input.value);
+  const due = type === 'todo'
+    ? { dueDate: document.getElementById('due-date').value || null, priority: document.getElementById('priority').value }
+    : {};
+
+  try {
+    if (savedItem) {
+      if (savedItem.type !== type) {
+        await browser.runtime.sendMessage({ action: 'convertItem', id: savedItem.id, type });
+      }
+      await browser.runtime.sendMessage({
+        action: 'updateItem',
+        id: savedItem.id,
+        changes: { note, tags, lists, ...due }
+      });
+    } else {
+      const itemMetadata = { ...metadata, note, tags, lists, ...due };
+      if (type === 'todo') {
+        await browser.runtime.sendMessage({ action: 'addTodo', url: currentTab.url, note, metadata: itemMetadata });
+      } else {
+        await browser.runtime.sendMessage({ action: 'addResearch', url: currentTab.url, metadata: itemMetadata });
+      }
+    }
+    window.close();
+  } catch (error) {
+    const errorEl = document.getElementById('error');
+    errorEl.textContent = error.message;
+    errorEl.hidden = false;
+  }
+}
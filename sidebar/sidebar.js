@@ -3,21 +3,53 @@
 let currentTab = 'todo';
 let showCompleted = false;
 let searchQuery = '';
+let activeTags = [];
+let activeListId = '';
+let savedLists = [];
+let selectedIds = new Set();
+let lastSelectedId = null;
+let renderedItems = [];
+let activeTaxon = null;
+let collapsedTaxa = new Set();
+let collapsedGroups = new Set();
 let notifCurrentType = 'mention';
 let notifPage = 1;
 let notifController = null;
+let settings = Settings.getDefaults();
 
 // Initialize
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  settings = await Settings.getAll();
   setupTabs();
+  setupPanelOrder();
   setupSearch();
+  setupFilters();
+  setupBulkActions();
   setupAddButton();
   setupExportImport();
+  setupSettingsButton();
   setupStorageListener();
   loadItems();
   setupNotifications();
 });
 
+// Settings button and live settings changes
+function setupSettingsButton() {
+  document.getElementById('settings-btn').addEventListener('click', () => {
+    browser.runtime.openOptionsPage();
+  });
+
+  Settings.onChange((newSettings, changedKeys) => {
+    settings = newSettings;
+    if (currentTab === 'notifications') {
+      renderNotifications();
+    } else if (changedKeys.includes(`${currentTab}Sort`) || changedKeys.includes(`${currentTab}Group`)) {
+      loadItems();
+    }
+    updatePanelOrderMenus();
+  });
+}
+
 // Listen for storage changes (e.g., from keyboard shortcuts)
 function setupStorageListener() {
   browser.storage.onChanged.addListener((changes, areaName) => {
@@ -39,6 +71,8 @@ function setupTabs() {
       document.getElementById(panelId).classList.add('active');
 
       currentTab = tab.dataset.tab;
+      selectedIds.clear();
+      document.getElementById('item-filters').hidden = currentTab === 'notifications';
       if (currentTab === 'notifications') {
         loadNotifications();
       } else {
@@ -54,7 +88,48 @@ function setupTabs() {
   });
 }
 
-// Search functionality
+// Sort and grouping menus for each panel, remembered in settings
+function setupPanelOrder() {
+  for (const [panel, options] of Object.entries(ItemSort.PANELS)) {
+    const sortSelect = document.getElementById(`${panel}-sort`);
+    const groupSelect = document.getElementById(`${panel}-group`);
+
+    sortSelect.innerHTML = options.sorts
+      .map(key => `<option value="${key}">${ItemSort.SORTS[key].label}</option>`)
+      .join('');
+    groupSelect.innerHTML = options.groupings
+      .map(key => `<option value="${key}">${ItemSort.GROUPINGS[key].label}</option>`)
+      .join('');
+
+    // Saved through Settings; its change listener reloads the panel
+    sortSelect.addEventListener('change', () => savePanelOrder(`${panel}Sort`, sortSelect.value));
+    groupSelect.addEventListener('change', () => savePanelOrder(`${panel}Group`, groupSelect.value));
+  }
+  updatePanelOrderMenus();
+}
+
+function updatePanelOrderMenus() {
+  for (const panel of Object.keys(ItemSort.PANELS)) {
+    document.getElementById(`${panel}-sort`).value = settings[`${panel}Sort`];
+    document.getElementById(`${panel}-group`).value = settings[`${panel}Group`];
+  }
+}
+
+async function savePanelOrder(key, value) {
+  try {
+    await Settings.set({ [key]: value });
+  } catch (error) {
+    alert('Error: ' + error.message);
+    updatePanelOrderMenus();
+  }
+}
+
+// Sort and grouping chosen for the current panel
+function getPanelOrder() {
+  return { sort: settings[`${currentTab}Sort`], grouping: settings[`${currentTab}Group`] };
+}
+
+// Search functionality (query language in lib/search-query.js) and pinned searches
 function setupSearch() {
   const searchInput = document.getElementById('search');
   let debounceTimer;
@@ -62,20 +137,179 @@ function setupSearch() {
   searchInput.addEventListener('input', (e) => {
     clearTimeout(debounceTimer);
     debounceTimer = setTimeout(() => {
-      searchQuery = e.target.value.trim();
-      loadItems();
+      setSearchQuery(e.target.value.trim());
     }, 300);
   });
+
+  document.getElementById('save-search-btn').addEventListener('click', async () => {
+    const name = prompt('Name for this search', searchQuery);
+    if (!name) return;
+
+    try {
+      await browser.runtime.sendMessage({ action: 'saveSearch', name, query: searchQuery });
+      loadSavedSearches();
+    } catch (error) {
+      alert('Error: ' + error.message);
+    }
+  });
+
+  loadSavedSearches();
+}
+
+function setSearchQuery(query) {
+  searchQuery = query;
+  document.getElementById('search').value = query;
+  document.getElementById('save-search-btn').disabled = !query;
+  document.getElementById('search-hint').textContent = SearchQuery.parse(query).errors.join('; ');
+  loadSavedSearches();
+  loadItems();
+}
+
+// Pinned searches under the search box
+async function loadSavedSearches() {
+  const searches = await browser.runtime.sendMessage({ action: 'getSavedSearches' });
+  const container = document.getElementById('saved-searches');
+
+  container.innerHTML = searches.map(search => `
+    <span class="saved-search ${search.query === searchQuery ? 'active' : ''}" data-id="${NotificationUI.escapeHtml(search.id)}">
+      <button class="saved-search-run" title="${NotificationUI.escapeHtml(search.query)}">${NotificationUI.escapeHtml(search.name)}</button>
+      <button class="saved-search-remove" title="Unpin">&times;</button>
+    </span>
+  `).join('');
+
+  container.querySelectorAll('.saved-search').forEach(el => {
+    const search = searches.find(s => s.id === el.dataset.id);
+
+    el.querySelector('.saved-search-run').addEventListener('click', () => {
+      setSearchQuery(search.query === searchQuery ? '' : search.query);
+    });
+
+    el.querySelector('.saved-search-remove').addEventListener('click', async () => {
+      await browser.runtime.sendMessage({ action: 'deleteSavedSearch', id: search.id });
+      loadSavedSearches();
+    });
+  });
+}
+
+// Wrap text matching the search terms in <mark> within rendered items
+function highlightMatches(container) {
+  const words = SearchQuery.getHighlights(SearchQuery.parse(searchQuery)).filter(Boolean);
+  if (words.length === 0) return;
+
+  const escaped = words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(${escaped.join('|')})`, 'gi');
+
+  container.querySelectorAll('.item-title, .item-note, .item-meta span, .item-tag').forEach(el => {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    for (const node of textNodes) {
+      const parts = node.textContent.split(pattern);
+      if (parts.length === 1) continue;
+
+      const fragment = document.createDocumentFragment();
+      parts.forEach((part, index) => {
+        if (index % 2 === 1) {
+          const mark = document.createElement('mark');
+          mark.className = 'search-match';
+          mark.textContent = part;
+          fragment.appendChild(mark);
+        } else if (part) {
+          fragment.appendChild(document.createTextNode(part));
+        }
+      });
+      node.replaceWith(fragment);
+    }
+  });
+}
+
+// List selector and tag chips above the TODO/Research panels
+function setupFilters() {
+  document.getElementById('list-filter').addEventListener('change', (e) => {
+    activeListId = e.target.value;
+    loadItems();
+  });
+
+  document.getElementById('manage-lists-btn').addEventListener('click', () => {
+    showListsDialog();
+  });
+}
+
+// Refresh the list selector and tag chips, dropping filters that no longer apply
+async function loadFilters() {
+  const [tags, lists] = await Promise.all([
+    browser.runtime.sendMessage({ action: 'getTags', type: currentTab }),
+    browser.runtime.sendMessage({ action: 'getLists' })
+  ]);
+
+  savedLists = lists;
+  activeTags = activeTags.filter(active => tags.some(tag => tag.name.toLowerCase() === active.toLowerCase()));
+  if (activeListId && !lists.some(list => list.id === activeListId)) {
+    activeListId = '';
+  }
+
+  const select = document.getElementById('list-filter');
+  select.innerHTML = `<option value="">All lists</option>` + lists.map(list => `
+    <option value="${NotificationUI.escapeHtml(list.id)}" ${list.id === activeListId ? 'selected' : ''}>${NotificationUI.escapeHtml(list.name)}</option>
+  `).join('');
+
+  const chips = document.getElementById('tag-chips');
+  chips.innerHTML = tags.map(tag => {
+    const active = activeTags.some(t => t.toLowerCase() === tag.name.toLowerCase());
+    return `<button class="tag-chip ${active ? 'active' : ''}" data-tag="${NotificationUI.escapeHtml(tag.name)}">#${NotificationUI.escapeHtml(tag.name)} <span class="tag-count">${tag.count}</span></button>`;
+  }).join('');
+  chips.querySelectorAll('.tag-chip').forEach(chip => {
+    chip.addEventListener('click', () => toggleTagFilter(chip.dataset.tag));
+  });
+
+  renderTaxonFilter();
+}
+
+// Chip for the ancestor filter ("Under genus Quercus")
+function renderTaxonFilter() {
+  const container = document.getElementById('taxon-filter');
+  container.hidden = !activeTaxon;
+  if (!activeTaxon) return;
+
+  container.innerHTML = `
+    <span class="tag-chip active">Under ${NotificationUI.escapeHtml(Taxa.getLabel(activeTaxon))}</span>
+    <button class="taxon-filter-clear" title="Clear taxon filter">&times;</button>
+  `;
+  container.querySelector('.taxon-filter-clear').addEventListener('click', () => {
+    setTaxonFilter(null);
+  });
+}
+
+// Show only items under a taxon (or everything again with null)
+function setTaxonFilter(taxon) {
+  activeTaxon = taxon;
+  loadItems();
+}
+
+// Add or remove a tag from the active filter (items must carry every active tag)
+function toggleTagFilter(tag) {
+  const index = activeTags.findIndex(t => t.toLowerCase() === tag.toLowerCase());
+  if (index === -1) {
+    activeTags.push(tag);
+  } else {
+    activeTags.splice(index, 1);
+  }
+  loadItems();
 }
 
 // Load and render items
 async function loadItems() {
   try {
     let items;
+    await loadFilters();
 
-    if (searchQuery) {
-      items = await browser.runtime.sendMessage({ action: 'search', query: searchQuery });
-      items = items.filter(item => item.type === currentTab);
+    if (searchQuery || activeTags.length || activeListId || activeTaxon) {
+      items = await browser.runtime.sendMessage({
+        action: 'search',
+        query: searchQuery,
+        filters: { type: currentTab, tags: activeTags, listId: activeListId, taxonId: activeTaxon?.id }
+      });
     } else {
       items = await browser.runtime.sendMessage({ action: 'getByType', type: currentTab });
     }
@@ -84,25 +318,49 @@ async function loadItems() {
       items = items.filter(item => !item.completed);
     }
 
-    // Sort: incomplete first, then by date
+    // Sort: by group, then incomplete TODOs first, then by the panel's chosen order
+    const { sort, grouping } = getPanelOrder();
     items.sort((a, b) => {
-      if (currentTab === 'todo') {
-        if (a.completed !== b.completed) return a.completed ? 1 : -1;
+      const groupA = ItemSort.getGroup(a, grouping);
+      if (groupA) {
+        const byGroup = ItemSort.compareGroups(groupA, ItemSort.getGroup(b, grouping), grouping);
+        if (byGroup) return byGroup;
       }
-      return new Date(b.createdAt) - new Date(a.createdAt);
+      if (currentTab === 'todo' && !!a.completed !== !!b.completed) return a.completed ? 1 : -1;
+      return ItemSort.compare(a, b, sort);
     });
 
-    renderItems(items);
+    // Taxonomy tree: look up names for every taxon the items sit under
+    let tree = null;
+    if (grouping === 'taxonomy') {
+      const ids = [...new Set(items.flatMap(item => Taxa.getLineage(item)))];
+      const taxa = await browser.runtime.sendMessage({ action: 'getTaxa', ids });
+      tree = Taxa.buildTree(items, taxa);
+      items = [...flattenTaxonTree(tree.roots), ...tree.unplaced];
+    }
+
+    // Selection only covers what is currently shown
+    renderedItems = items;
+    selectedIds = new Set(items.filter(item => selectedIds.has(item.id)).map(item => item.id));
+
+    renderItems(items, tree);
+    highlightMatches(document.querySelector('.panel.active'));
+    updateSelectionUI();
   } catch (error) {
     console.error('Error loading items:', error);
   }
 }
 
-// Render item list
-function renderItems(items) {
+// Render item list (as a taxonomic tree when one is given)
+function renderItems(items, tree = null) {
   const listId = currentTab === 'todo' ? 'todo-list' : 'research-list';
   const list = document.getElementById(listId);
 
+  if (items.length === 0 && (searchQuery || activeTags.length || activeListId || activeTaxon)) {
+    list.innerHTML = '<li class="empty-state"><p>No matching items</p></li>';
+    return;
+  }
+
   if (items.length === 0) {
     list.innerHTML = `
       <li class="empty-state">
@@ -113,13 +371,49 @@ function renderItems(items) {
     return;
   }
 
-  list.innerHTML = items.map(item => {
-    if (item.type === 'todo') {
-      return renderTodoItem(item);
-    } else {
-      return renderResearchItem(item);
-    }
-  }).join('');
+  const { grouping } = getPanelOrder();
+
+  if (tree) {
+    list.innerHTML = renderTaxonTree(tree);
+  } else if (grouping !== 'none') {
+    list.innerHTML = groupItems(items, grouping)
+      .map(group => renderGroup(group, grouping, group.items.map(renderItem).join('')))
+      .join('');
+  } else {
+    list.innerHTML = items.map(renderItem).join('');
+  }
+
+  // Collapsible group headers
+  list.querySelectorAll('.item-group').forEach(groupEl => {
+    const groupId = groupEl.dataset.group;
+    groupEl.querySelector('.group-header').addEventListener('click', () => {
+      if (collapsedGroups.has(groupId)) {
+        collapsedGroups.delete(groupId);
+      } else {
+        collapsedGroups.add(groupId);
+      }
+      groupEl.classList.toggle('collapsed', collapsedGroups.has(groupId));
+    });
+  });
+
+  // Expand/collapse tree nodes, and filter to everything under one
+  list.querySelectorAll('.taxon-node').forEach(node => {
+    const row = node.querySelector(':scope > .taxon-row');
+    const taxonId = Number(node.dataset.taxonId);
+
+    row.querySelector('.taxon-toggle').addEventListener('click', () => {
+      if (collapsedTaxa.has(taxonId)) {
+        collapsedTaxa.delete(taxonId);
+      } else {
+        collapsedTaxa.add(taxonId);
+      }
+      node.classList.toggle('collapsed', collapsedTaxa.has(taxonId));
+    });
+
+    row.querySelector('.taxon-filter-btn').addEventListener('click', () => {
+      setTaxonFilter(activeTaxon?.id === taxonId ? null : findTaxon(tree.roots, taxonId));
+    });
+  });
 
   // Attach event listeners
   list.querySelectorAll('.item').forEach(el => {
@@ -130,6 +424,7 @@ function renderItems(items) {
       if (e.target.tagName === 'BUTTON' || e.target.tagName === 'INPUT') return;
       if (e.target.tagName === 'A') return;
       if (e.target.classList.contains('item-note')) return;
+      if (e.target.classList.contains('item-tag')) return;
       const item = items.find(i => i.id === id);
       if (item) browser.tabs.create({ url: item.url });
     });
@@ -143,10 +438,30 @@ function renderItems(items) {
       });
     });
 
+    // Selection checkbox - shift-click selects a range
+    el.querySelector('.item-select').addEventListener('click', (e) => {
+      e.stopPropagation();
+      toggleSelection(id, e.target.checked, e.shiftKey);
+    });
+
+    // Tags filter the list when clicked
+    el.querySelectorAll('.item-tag').forEach(tagEl => {
+      tagEl.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleTagFilter(tagEl.dataset.tag);
+      });
+    });
+
     // Checkbox for completing TODOs
     const checkbox = el.querySelector('.item-checkbox');
     if (checkbox) {
-      checkbox.addEventListener('change', () => markComplete(id));
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) {
+          markComplete(id);
+        } else {
+          reopenItem(id);
+        }
+      });
     }
 
     // Edit button
@@ -159,6 +474,25 @@ function renderItems(items) {
       });
     }
 
+    // Convert between TODO and Research
+    const convertBtn = el.querySelector('.convert-btn');
+    if (convertBtn) {
+      convertBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const item = items.find(i => i.id === id);
+        if (item) convertItem(item);
+      });
+    }
+
+    // Reviewed button - accept changes since the item was last checked
+    const reviewedBtn = el.querySelector('.reviewed-btn');
+    if (reviewedBtn) {
+      reviewedBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        markReviewed(id);
+      });
+    }
+
     // Delete button
     const deleteBtn = el.querySelector('.delete-btn');
     if (deleteBtn) {
@@ -170,24 +504,163 @@ function renderItems(items) {
   });
 }
 
+function renderItem(item) {
+  return item.type === 'todo' ? renderTodoItem(item) : renderResearchItem(item);
+}
+
+// Split sorted items into runs of the same group
+function groupItems(items, grouping) {
+  const groups = [];
+  for (const item of items) {
+    const group = ItemSort.getGroup(item, grouping);
+    const last = groups[groups.length - 1];
+    if (last && last.key === group.key) {
+      last.items.push(item);
+    } else {
+      groups.push({ ...group, items: [item] });
+    }
+  }
+  return groups;
+}
+
+// A collapsible group header with its items
+function renderGroup(group, grouping, content) {
+  const groupId = `${grouping}:${group.key}`;
+  return `
+    <li class="item-group ${collapsedGroups.has(groupId) ? 'collapsed' : ''}" data-group="${NotificationUI.escapeHtml(groupId)}">
+      <div class="group-header ${grouping === 'due' ? `group-${group.key}` : ''}">
+        <span class="group-toggle"></span>
+        ${NotificationUI.escapeHtml(group.label)} <span class="group-count">${group.items.length}</span>
+      </div>
+      <ul class="group-items">${content}</ul>
+    </li>
+  `;
+}
+
+// Taxonomy tree nodes with per-node counts; items sit under their own taxon
+function renderTaxonTree(tree) {
+  const unplaced = tree.unplaced.length
+    ? renderGroup({ key: 'none', label: 'No taxon yet', items: tree.unplaced }, 'taxonomy', tree.unplaced.map(renderResearchItem).join(''))
+    : '';
+
+  return tree.roots.map(renderTaxonNode).join('') + unplaced;
+}
+
+function renderTaxonNode(node) {
+  const { taxon } = node;
+  const collapsed = collapsedTaxa.has(taxon.id);
+  const active = activeTaxon?.id === taxon.id;
+
+  return `
+    <li class="taxon-node ${collapsed ? 'collapsed' : ''}" data-taxon-id="${taxon.id}">
+      <div class="taxon-row">
+        <button class="taxon-toggle" title="Expand or collapse"></button>
+        <span class="taxon-rank">${NotificationUI.escapeHtml(taxon.rank)}</span>
+        <span class="taxon-name">${NotificationUI.escapeHtml(taxon.name)}</span>
+        ${taxon.commonName ? `<span class="taxon-common">${NotificationUI.escapeHtml(taxon.commonName)}</span>` : ''}
+        <span class="group-count">${node.count}</span>
+        <button class="taxon-filter-btn ${active ? 'active' : ''}" title="Show all under ${NotificationUI.escapeHtml(Taxa.getLabel(taxon))}">Filter</button>
+      </div>
+      <ul class="taxon-children">
+        ${node.items.map(renderResearchItem).join('')}
+        ${node.children.map(renderTaxonNode).join('')}
+      </ul>
+    </li>
+  `;
+}
+
+// Items in the order the tree shows them
+function flattenTaxonTree(nodes) {
+  return nodes.flatMap(node => [...node.items, ...flattenTaxonTree(node.children)]);
+}
+
+function findTaxon(nodes, taxonId) {
+  for (const node of nodes) {
+    if (node.taxon.id === taxonId) return node.taxon;
+    const found = findTaxon(node.children, taxonId);
+    if (found) return found;
+  }
+  return null;
+}
+
+// Changed marker and summary for items whose observation changed since last review
+function renderChanges(item) {
+  if (!item.changes?.length) return '';
+
+  const lines = ChangeTracker.summarize(item.changes)
+    .map(line => `<li>${NotificationUI.escapeHtml(line)}</li>`)
+    .join('');
+  return `<ul class="item-changes">${lines}</ul>`;
+}
+
+function renderChangedBadge(item) {
+  return item.changes?.length ? '<span class="item-changed-badge">Changed</span>' : '';
+}
+
+function renderReviewedButton(item) {
+  return item.changes?.length ? '<button class="reviewed-btn">Reviewed</button>' : '';
+}
+
+function renderSelectBox(item) {
+  return `<input type="checkbox" class="item-select" title="Select" ${selectedIds.has(item.id) ? 'checked' : ''}>`;
+}
+
+// List names and tags shown under an item
+function renderTags(item) {
+  const listNames = (item.lists || [])
+    .map(listId => savedLists.find(list => list.id === listId)?.name)
+    .filter(Boolean);
+  const tags = item.tags || [];
+  if (listNames.length === 0 && tags.length === 0) return '';
+
+  return `
+    <div class="item-tags">
+      ${listNames.map(name => `<span class="item-list-name">${NotificationUI.escapeHtml(name)}</span>`).join('')}
+      ${tags.map(tag => `<span class="item-tag" data-tag="${NotificationUI.escapeHtml(tag)}">#${NotificationUI.escapeHtml(tag)}</span>`).join('')}
+    </div>
+  `;
+}
+
+// Due date and priority badges for a TODO
+function renderDue(item) {
+  const badges = [];
+  if (item.priority === 'high') {
+    badges.push('<span class="item-priority priority-high">High priority</span>');
+  } else if (item.priority === 'low') {
+    badges.push('<span class="item-priority priority-low">Low priority</span>');
+  }
+  if (item.dueDate) {
+    const group = item.completed ? 'done' : DueDates.getGroup(item);
+    badges.push(`<span class="item-due due-${group}">Due ${DueDates.format(item.dueDate)}</span>`);
+  }
+  return badges.length ? `<div class="item-badges">${badges.join('')}</div>` : '';
+}
+
 function renderTodoItem(item) {
   const date = new Date(item.createdAt).toLocaleDateString();
   const title = item.species || `Observation #${item.observationId}`;
   return `
-    <li class="item ${item.completed ? 'completed' : ''}" data-id="${item.id}">
+    <li class="item ${item.completed ? 'completed' : ''}" data-id="${NotificationUI.escapeHtml(item.id)}">
       <div class="item-header">
-        <input type="checkbox" class="item-checkbox" ${item.completed ? 'checked disabled' : ''}>
+        ${renderSelectBox(item)}
+        <input type="checkbox" class="item-checkbox" ${item.completed ? 'checked' : ''}>
         <div class="item-content">
-          <div class="item-title">${NotificationUI.escapeHtml(title)}</div>
+          <div class="item-title">${NotificationUI.escapeHtml(title)}${renderChangedBadge(item)}</div>
+          ${renderDue(item)}
+          ${renderChanges(item)}
           ${item.note ? `<div class="item-note">${linkifyUrls(item.note)}</div>` : ''}
+          ${renderTags(item)}
           <div class="item-meta">
             <span>Added ${date}</span>
+            ${renderConverted(item)}
             ${item.completedAt ? `<span>Completed ${new Date(item.completedAt).toLocaleDateString()}</span>` : ''}
           </div>
         </div>
       </div>
       <div class="item-actions">
+        ${renderReviewedButton(item)}
         <button class="edit-btn">Edit</button>
+        <button class="convert-btn">${item.type === 'todo' ? 'To Research' : 'To TODO'}</button>
         <button class="delete-btn">Delete</button>
       </div>
     </li>
@@ -199,49 +672,313 @@ function renderResearchItem(item) {
   const title = item.species || item.commonName || `Observation #${item.observationId}`;
 
   return `
-    <li class="item" data-id="${item.id}">
+    <li class="item" data-id="${NotificationUI.escapeHtml(item.id)}">
       <div class="item-header">
-        ${item.thumbnailUrl ? `<img src="${item.thumbnailUrl}" class="item-thumbnail" alt="">` : ''}
+        ${renderSelectBox(item)}
+        ${item.thumbnailUrl ? `<img src="${NotificationUI.escapeHtml(item.thumbnailUrl)}" class="item-thumbnail" alt="">` : ''}
         <div class="item-content">
-          <div class="item-title">${NotificationUI.escapeHtml(title)}</div>
+          <div class="item-title">${NotificationUI.escapeHtml(title)}${renderChangedBadge(item)}</div>
+          ${renderChanges(item)}
           ${item.commonName && item.species ? `<div class="item-meta"><span>${NotificationUI.escapeHtml(item.commonName)}</span></div>` : ''}
           <div class="item-meta">
             ${item.observer ? `<span>by ${NotificationUI.escapeHtml(item.observer)}</span>` : ''}
             ${item.location ? `<span>${NotificationUI.escapeHtml(item.location)}</span>` : ''}
             <span>Added ${date}</span>
+            ${renderConverted(item)}
           </div>
           ${item.note ? `<div class="item-note">${linkifyUrls(item.note)}</div>` : ''}
+          ${renderTags(item)}
         </div>
       </div>
       <div class="item-actions">
+        ${renderReviewedButton(item)}
+        <button class="edit-btn">Edit</button>
+        <button class="convert-btn">${item.type === 'todo' ? 'To Research' : 'To TODO'}</button>
         <button class="delete-btn">Delete</button>
       </div>
     </li>
   `;
 }
 
+// Bulk selection and actions on the current list
+function setupBulkActions() {
+  document.getElementById('select-all').addEventListener('change', (e) => {
+    selectedIds = e.target.checked ? new Set(renderedItems.map(item => item.id)) : new Set();
+    updateSelectionUI();
+  });
+
+  document.getElementById('bulk-clear').addEventListener('click', () => {
+    selectedIds.clear();
+    updateSelectionUI();
+  });
+
+  document.getElementById('bulk-complete').addEventListener('click', async () => {
+    const completed = await runBulkAction({ action: 'completeItems' });
+    if (completed) {
+      showUndoToast(`Completed ${completed.length}`, () => runBulkAction({
+        action: 'reopenItems',
+        ids: completed.map(item => item.id)
+      }));
+    }
+  });
+
+  document.getElementById('bulk-move').addEventListener('click', async () => {
+    const from = currentTab;
+    const to = from === 'todo' ? 'research' : 'todo';
+    const moved = await runBulkAction({ action: 'moveItems', type: to });
+    if (moved) {
+      showUndoToast(`Moved ${moved.length} to ${to === 'todo' ? 'TODOs' : 'Research'}`, () => runBulkAction({
+        action: 'moveItems',
+        type: from,
+        ids: moved.map(item => item.id)
+      }));
+    }
+  });
+
+  document.getElementById('bulk-tag').addEventListener('click', () => {
+    const tags = prompt('Add tags to the selected items (comma separated)');
+    if (tags) runBulkAction({ action: 'tagItems', tags: tags.split(',') });
+  });
+
+  document.getElementById('bulk-export').addEventListener('click', () => {
+    showExportDialog([...selectedIds], currentTab);
+  });
+
+  document.getElementById('bulk-delete').addEventListener('click', async () => {
+    const deleted = await runBulkAction({ action: 'deleteItems' });
+    if (deleted) {
+      showUndoToast(`Moved ${deleted.length} to trash`, () => runBulkAction({
+        action: 'restoreItems',
+        ids: deleted.map(item => item.id)
+      }));
+    }
+  });
+}
+
+// Send a batch action for the selected items (or message.ids) and clear the selection
+async function runBulkAction(message) {
+  try {
+    const result = await browser.runtime.sendMessage({ ids: [...selectedIds], ...message });
+    selectedIds.clear();
+    loadItems();
+    return result;
+  } catch (error) {
+    alert('Error: ' + error.message);
+    return null;
+  }
+}
+
+// Select or deselect an item; with shift, everything between it and the last clicked item
+function toggleSelection(id, selected, range) {
+  const index = renderedItems.findIndex(item => item.id === id);
+  const lastIndex = renderedItems.findIndex(item => item.id === lastSelectedId);
+  const targets = range && lastIndex !== -1
+    ? renderedItems.slice(Math.min(index, lastIndex), Math.max(index, lastIndex) + 1)
+    : [renderedItems[index]];
+
+  for (const item of targets) {
+    if (selected) {
+      selectedIds.add(item.id);
+    } else {
+      selectedIds.delete(item.id);
+    }
+  }
+  lastSelectedId = id;
+  updateSelectionUI();
+}
+
+// Sync checkboxes, the select-all box and the bulk action bar with the selection
+function updateSelectionUI() {
+  document.querySelectorAll('.panel.active .item').forEach(el => {
+    const selected = selectedIds.has(el.dataset.id);
+    el.classList.toggle('selected', selected);
+    el.querySelector('.item-select').checked = selected;
+  });
+
+  const count = selectedIds.size;
+  const selectAll = document.getElementById('select-all');
+  selectAll.checked = count > 0 && count === renderedItems.length;
+  selectAll.indeterminate = count > 0 && count < renderedItems.length;
+
+  document.getElementById('bulk-bar').hidden = count === 0;
+  document.getElementById('bulk-count').textContent = `${count} selected`;
+  document.getElementById('bulk-complete').hidden = currentTab !== 'todo';
+  document.getElementById('bulk-move').textContent = currentTab === 'todo' ? 'To Research' : 'To TODO';
+}
+
+// Move an item to the other list, keeping its notes and history
+async function convertItem(item) {
+  const to = item.type === 'todo' ? 'research' : 'todo';
+
+  try {
+    await browser.runtime.sendMessage({ action: 'convertItem', id: item.id, type: to });
+    loadItems();
+    showUndoToast(`Moved to ${to === 'todo' ? 'TODOs' : 'Research'}`, async () => {
+      await browser.runtime.sendMessage({ action: 'convertItem', id: item.id, type: item.type });
+      loadItems();
+    });
+  } catch (error) {
+    alert('Error: ' + error.message);
+  }
+}
+
+// When and from where an item was last converted
+function renderConverted(item) {
+  if (!item.convertedAt) return '';
+  const from = item.history?.filter(entry => entry.action === 'converted').pop()?.from;
+  const label = from === 'todo' ? 'TODO' : 'Research';
+  return `<span>Moved from ${label} ${new Date(item.convertedAt).toLocaleDateString()}</span>`;
+}
+
 // Mark TODO as complete
 async function markComplete(id) {
   try {
     await browser.runtime.sendMessage({ action: 'markComplete', id });
     loadItems();
+    showUndoToast('Marked complete', () => reopenItem(id));
   } catch (error) {
     console.error('Error marking complete:', error);
   }
 }
 
-// Delete item
-async function deleteItem(id) {
-  if (!confirm('Delete this item?')) return;
+// Mark a completed TODO as not done
+async function reopenItem(id) {
+  try {
+    await browser.runtime.sendMessage({ action: 'reopen', id });
+    loadItems();
+  } catch (error) {
+    console.error('Error reopening item:', error);
+  }
+}
+
+// Clear the changed marker on an item
+async function markReviewed(id) {
+  try {
+    await browser.runtime.sendMessage({ action: 'markReviewed', id });
+    loadItems();
+  } catch (error) {
+    console.error('Error marking reviewed:', error);
+  }
+}
 
+// Move item to the trash
+async function deleteItem(id) {
   try {
     await browser.runtime.sendMessage({ action: 'deleteItem', id });
     loadItems();
+    showUndoToast('Moved to trash', () => restoreItem(id));
   } catch (error) {
     console.error('Error deleting item:', error);
   }
 }
 
+// Bring an item back from the trash
+async function restoreItem(id) {
+  try {
+    await browser.runtime.sendMessage({ action: 'restoreItem', id });
+    loadItems();
+  } catch (error) {
+    alert('Error: ' + error.message);
+  }
+}
+
+// Short-lived message with an Undo button; a newer toast replaces an older one
+let undoToastTimer;
+function showUndoToast(message, onUndo) {
+  document.querySelector('.undo-toast')?.remove();
+  clearTimeout(undoToastTimer);
+
+  const toast = document.createElement('div');
+  toast.className = 'undo-toast';
+  toast.innerHTML = `
+    <span>${NotificationUI.escapeHtml(message)}</span>
+    <button class="undo-btn">Undo</button>
+  `;
+  document.body.appendChild(toast);
+
+  toast.querySelector('.undo-btn').addEventListener('click', () => {
+    toast.remove();
+    clearTimeout(undoToastTimer);
+    onUndo();
+  });
+
+  undoToastTimer = setTimeout(() => toast.remove(), 8000);
+}
+
+// Trash dialog: restore or permanently delete items
+function showTrashDialog() {
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+  overlay.innerHTML = `
+    <div class="dialog">
+      <h2>Trash</h2>
+      <p class="dialog-subtitle">Items are deleted for good after ${settings.trashRetentionDays} days.</p>
+      <ul id="trash-list" class="trash-list"></ul>
+      <div class="dialog-buttons">
+        <button class="btn btn-small" id="empty-trash">Empty trash</button>
+        <button class="btn btn-primary" id="close-trash">Close</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const listEl = overlay.querySelector('#trash-list');
+  const emptyBtn = overlay.querySelector('#empty-trash');
+
+  const renderTrash = async () => {
+    const trash = await browser.runtime.sendMessage({ action: 'getTrash' });
+    emptyBtn.disabled = trash.length === 0;
+
+    if (trash.length === 0) {
+      listEl.innerHTML = '<li class="trash-empty">The trash is empty</li>';
+      return;
+    }
+
+    listEl.innerHTML = trash.map(item => `
+      <li data-id="${NotificationUI.escapeHtml(item.id)}">
+        <div class="trash-item-info">
+          <div class="trash-item-title">${NotificationUI.escapeHtml(item.species || item.commonName || `Observation #${item.observationId}`)}</div>
+          <div class="trash-item-meta">${item.type === 'todo' ? 'TODO' : 'Research'}, deleted ${new Date(item.deletedAt).toLocaleDateString()}</div>
+        </div>
+        <button class="btn-small restore-btn">Restore</button>
+        <button class="btn-small purge-btn">Delete</button>
+      </li>
+    `).join('');
+
+    listEl.querySelectorAll('li[data-id]').forEach(row => {
+      const id = row.dataset.id;
+
+      row.querySelector('.restore-btn').addEventListener('click', async () => {
+        await restoreItem(id);
+        renderTrash();
+      });
+
+      row.querySelector('.purge-btn').addEventListener('click', async () => {
+        if (!confirm('Delete this item permanently?')) return;
+        await browser.runtime.sendMessage({ action: 'purgeTrash', id });
+        renderTrash();
+      });
+    });
+  };
+
+  emptyBtn.addEventListener('click', async () => {
+    if (!confirm('Permanently delete everything in the trash?')) return;
+    await browser.runtime.sendMessage({ action: 'purgeTrash' });
+    renderTrash();
+  });
+
+  overlay.querySelector('#close-trash').addEventListener('click', () => {
+    overlay.remove();
+  });
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) overlay.remove();
+  });
+
+  renderTrash();
+}
+
 // Add current page button
 function setupAddButton() {
   document.getElementById('add-current').addEventListener('click', async () => {
@@ -249,8 +986,9 @@ function setupAddButton() {
       const tabs = await browser.tabs.query({ active: true, currentWindow: true });
       const tab = tabs[0];
 
+      // Not on an observation page - the dialog asks for a URL instead
       if (!tab?.url?.match(/inaturalist\.org\/observations\/\d+/)) {
-        alert('Please navigate to an iNaturalist observation page first.');
+        showAddDialog('', null);
         return;
       }
 
@@ -268,6 +1006,10 @@ function showAddDialog(url, tabId) {
   overlay.innerHTML = `
     <div class="dialog">
       <h2>Add Observation</h2>
+      <div class="form-group">
+        <label for="add-url">Observation URL</label>
+        <input type="text" id="add-url" placeholder="https://www.inaturalist.org/observations/..." value="${NotificationUI.escapeHtml(url)}">
+      </div>
       <div class="form-group">
         <label for="add-type">Type</label>
         <select id="add-type">
@@ -279,6 +1021,10 @@ function showAddDialog(url, tabId) {
         <label for="add-note">Note (optional)</label>
         <textarea id="add-note" placeholder="Add a note..."></textarea>
       </div>
+      <div id="add-due-fields" ${currentTab === 'research' ? 'style="display: none;"' : ''}>
+        ${renderDueFields({})}
+      </div>
+      ${renderTagFields([], [])}
       <div class="dialog-buttons">
         <button class="btn btn-small" id="cancel-add">Cancel</button>
         <button class="btn btn-primary" id="confirm-add">Add</button>
@@ -288,6 +1034,11 @@ function showAddDialog(url, tabId) {
 
   document.body.appendChild(overlay);
 
+  // Due date and priority only apply to TODOs
+  overlay.querySelector('#add-type').addEventListener('change', (e) => {
+    overlay.querySelector('#add-due-fields').style.display = e.target.value === 'todo' ? 'block' : 'none';
+  });
+
   overlay.querySelector('#cancel-add').addEventListener('click', () => {
     overlay.remove();
   });
@@ -295,16 +1046,23 @@ function showAddDialog(url, tabId) {
   overlay.querySelector('#confirm-add').addEventListener('click', async () => {
     const type = overlay.querySelector('#add-type').value;
     const note = overlay.querySelector('#add-note').value.trim();
+    const addUrl = overlay.querySelector('#add-url').value.trim();
+    const { tags, lists } = readTagFields(overlay);
 
     try {
-      // Get metadata for both types (TODO needs species name)
-      const metadata = await browser.tabs.sendMessage(tabId, { action: 'getMetadata' });
+      // Page metadata gives an instant title; the background fills in the rest from the API
+      const metadata = (tabId && addUrl === url)
+        ? await browser.tabs.sendMessage(tabId, { action: 'getMetadata' })
+        : {};
       metadata.note = note;
+      metadata.tags = tags;
+      metadata.lists = lists;
 
       if (type === 'todo') {
-        await browser.runtime.sendMessage({ action: 'addTodo', url, note, metadata });
+        Object.assign(metadata, readDueFields(overlay));
+        await browser.runtime.sendMessage({ action: 'addTodo', url: addUrl, note, metadata });
       } else {
-        await browser.runtime.sendMessage({ action: 'addResearch', url, metadata });
+        await browser.runtime.sendMessage({ action: 'addResearch', url: addUrl, metadata });
       }
 
       overlay.remove();
@@ -321,19 +1079,74 @@ function showAddDialog(url, tabId) {
   });
 }
 
-// Show edit dialog for updating note
+// Due date and priority inputs for TODOs in the add and edit dialogs
+function renderDueFields(item) {
+  const priority = item.priority || 'normal';
+  return `
+    <div class="form-row">
+      <div class="form-group">
+        <label for="item-due">Due date</label>
+        <input type="date" id="item-due" value="${item.dueDate || ''}">
+      </div>
+      <div class="form-group">
+        <label for="item-priority">Priority</label>
+        <select id="item-priority">
+          ${DueDates.PRIORITIES.map(p => `<option value="${p}" ${p === priority ? 'selected' : ''}>${p[0].toUpperCase() + p.slice(1)}</option>`).join('')}
+        </select>
+      </div>
+    </div>
+  `;
+}
+
+function readDueFields(overlay) {
+  return {
+    dueDate: overlay.querySelector('#item-due').value || null,
+    priority: overlay.querySelector('#item-priority').value
+  };
+}
+
+// Tag and list inputs shared by the add and edit dialogs
+function renderTagFields(tags, lists) {
+  return `
+    <div class="form-group">
+      <label for="item-tags">Tags (comma separated)</label>
+      <input type="text" id="item-tags" placeholder="e.g. oaks, needs expert" value="${NotificationUI.escapeHtml(tags.join(', '))}">
+    </div>
+    ${savedLists.length ? `
+      <div class="form-group">
+        <label>Lists</label>
+        <div id="item-lists" class="checkbox-list">
+          ${savedLists.map(list => `
+            <label><input type="checkbox" value="${NotificationUI.escapeHtml(list.id)}" ${lists.includes(list.id) ? 'checked' : ''}> ${NotificationUI.escapeHtml(list.name)}</label>
+          `).join('')}
+        </div>
+      </div>
+    ` : ''}
+  `;
+}
+
+function readTagFields(overlay) {
+  return {
+    tags: overlay.querySelector('#item-tags').value.split(','),
+    lists: Array.from(overlay.querySelectorAll('#item-lists input:checked')).map(input => input.value)
+  };
+}
+
+// Show edit dialog for updating note, tags and lists
 function showEditDialog(item) {
   const title = item.species || `Observation #${item.observationId}`;
   const overlay = document.createElement('div');
   overlay.className = 'dialog-overlay';
   overlay.innerHTML = `
     <div class="dialog">
-      <h2>Edit Note</h2>
+      <h2>Edit Item</h2>
       <p class="dialog-subtitle">${NotificationUI.escapeHtml(title)}</p>
       <div class="form-group">
         <label for="edit-note">Note</label>
         <textarea id="edit-note" placeholder="Add a note...">${NotificationUI.escapeHtml(item.note || '')}</textarea>
       </div>
+      ${item.type === 'todo' ? renderDueFields(item) : ''}
+      ${renderTagFields(item.tags || [], item.lists || [])}
       <div class="dialog-buttons">
         <button class="btn btn-small" id="cancel-edit">Cancel</button>
         <button class="btn btn-primary" id="confirm-edit">Save</button>
@@ -353,9 +1166,11 @@ function showEditDialog(item) {
 
   overlay.querySelector('#confirm-edit').addEventListener('click', async () => {
     const note = overlay.querySelector('#edit-note').value.trim();
+    const { tags, lists } = readTagFields(overlay);
+    const due = item.type === 'todo' ? readDueFields(overlay) : {};
 
     try {
-      await browser.runtime.sendMessage({ action: 'updateNote', id: item.id, note });
+      await browser.runtime.sendMessage({ action: 'updateItem', id: item.id, changes: { note, tags, lists, ...due } });
       overlay.remove();
       loadItems();
     } catch (error) {
@@ -368,24 +1183,106 @@ function showEditDialog(item) {
   });
 }
 
-// Export/Import
-function setupExportImport() {
-  document.getElementById('export-btn').addEventListener('click', async () => {
-    try {
-      const data = await browser.runtime.sendMessage({ action: 'exportData' });
-      const blob = new Blob([data], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
+// Create, rename and delete named lists
+function showListsDialog() {
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+  overlay.innerHTML = `
+    <div class="dialog">
+      <h2>Lists</h2>
+      <ul id="manage-lists" class="manage-lists"></ul>
+      <div class="form-group">
+        <label for="new-list-name">New list</label>
+        <input type="text" id="new-list-name" placeholder="e.g. Needs expert">
+      </div>
+      <div class="dialog-buttons">
+        <button class="btn btn-small" id="close-lists">Close</button>
+        <button class="btn btn-primary" id="create-list">Create</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const listEl = overlay.querySelector('#manage-lists');
+  const nameInput = overlay.querySelector('#new-list-name');
 
-      const a = document.createElement('a');
-      a.href = url;
-      a.download = `inat-links-backup-${new Date().toISOString().split('T')[0]}.json`;
-      a.click();
+  const renderLists = async () => {
+    const lists = await browser.runtime.sendMessage({ action: 'getLists' });
+    if (lists.length === 0) {
+      listEl.innerHTML = '<li class="manage-lists-empty">No lists yet</li>';
+      return;
+    }
+
+    listEl.innerHTML = lists.map(list => `
+      <li data-id="${NotificationUI.escapeHtml(list.id)}">
+        <span class="manage-list-name">${NotificationUI.escapeHtml(list.name)}</span>
+        <button class="btn-small rename-list-btn">Rename</button>
+        <button class="btn-small delete-list-btn">Delete</button>
+      </li>
+    `).join('');
+
+    listEl.querySelectorAll('li[data-id]').forEach(row => {
+      const list = lists.find(l => l.id === row.dataset.id);
+
+      row.querySelector('.rename-list-btn').addEventListener('click', async () => {
+        const name = prompt('Rename list', list.name);
+        if (name === null) return;
+        try {
+          await browser.runtime.sendMessage({ action: 'renameList', id: list.id, name });
+          renderLists();
+        } catch (error) {
+          alert('Error: ' + error.message);
+        }
+      });
+
+      row.querySelector('.delete-list-btn').addEventListener('click', async () => {
+        if (!confirm(`Delete the list "${list.name}"? Its items are kept.`)) return;
+        try {
+          await browser.runtime.sendMessage({ action: 'deleteList', id: list.id });
+          renderLists();
+        } catch (error) {
+          alert('Error: ' + error.message);
+        }
+      });
+    });
+  };
 
-      URL.revokeObjectURL(url);
+  const createList = async () => {
+    try {
+      await browser.runtime.sendMessage({ action: 'createList', name: nameInput.value });
+      nameInput.value = '';
+      renderLists();
     } catch (error) {
-      console.error('Export error:', error);
-      alert('Error exporting data');
+      alert('Error: ' + error.message);
     }
+  };
+
+  overlay.querySelector('#create-list').addEventListener('click', createList);
+  nameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') createList();
+  });
+
+  overlay.querySelector('#close-lists').addEventListener('click', () => {
+    overlay.remove();
+  });
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) overlay.remove();
+  });
+
+  renderLists();
+  nameInput.focus();
+}
+
+// Export/Import
+function setupExportImport() {
+  document.getElementById('export-btn').addEventListener('click', () => {
+    showExportDialog();
+  });
+
+  document.getElementById('trash-btn').addEventListener('click', () => {
+    showTrashDialog();
   });
 
   document.getElementById('import-btn').addEventListener('click', () => {
@@ -397,10 +1294,7 @@ function setupExportImport() {
     if (!file) return;
 
     try {
-      const text = await file.text();
-      await browser.runtime.sendMessage({ action: 'importData', jsonString: text });
-      alert('Import successful!');
-      loadItems();
+      showImportDialog(await file.text());
     } catch (error) {
       console.error('Import error:', error);
       alert('Error importing data: ' + error.message);
@@ -410,51 +1304,370 @@ function setupExportImport() {
   });
 }
 
+// Import dialog: choose a mode, preview the result and settle conflicts before writing
+function showImportDialog(jsonString) {
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+  overlay.innerHTML = `
+    <div class="dialog">
+      <h2>Import</h2>
+      <div class="form-group">
+        <label for="import-mode">Mode</label>
+        <select id="import-mode">
+          <option value="merge">Merge with my items</option>
+          <option value="append">Only add observations I haven't saved</option>
+          <option value="replace">Replace all my items</option>
+        </select>
+      </div>
+      <div id="import-preview" class="import-preview"></div>
+      <div id="import-conflicts" style="display: none;">
+        <div class="form-group">
+          <label for="import-resolution">When items differ</label>
+          <select id="import-resolution">
+            <option value="current">Keep my version</option>
+            <option value="incoming">Use the imported version</option>
+          </select>
+        </div>
+        <ul id="import-conflict-list" class="import-conflict-list"></ul>
+      </div>
+      <div class="dialog-buttons">
+        <button class="btn btn-small" id="cancel-import">Cancel</button>
+        <button class="btn btn-primary" id="confirm-import" disabled>Import</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const modeSelect = overlay.querySelector('#import-mode');
+  const previewEl = overlay.querySelector('#import-preview');
+  const conflictsEl = overlay.querySelector('#import-conflicts');
+  const conflictList = overlay.querySelector('#import-conflict-list');
+  const confirmBtn = overlay.querySelector('#confirm-import');
+
+  const formatValue = (field, value) => {
+    if (field === 'completed') return value ? 'completed' : 'open';
+    if (field === 'type') return value === 'todo' ? 'TODO' : 'Research';
+    return value ? `"${value}"` : '(empty)';
+  };
+
+  const renderPreview = async () => {
+    confirmBtn.disabled = true;
+    try {
+      const plan = await browser.runtime.sendMessage({
+        action: 'previewImport',
+        jsonString,
+        mode: modeSelect.value
+      });
+
+      const lines = [`${plan.added.length} item${plan.added.length === 1 ? '' : 's'} will be added`];
+      if (plan.removed) lines.push(`${plan.removed} current item${plan.removed === 1 ? '' : 's'} will be removed`);
+      if (plan.savedSearches) {
+        const count = plan.savedSearches.length;
+        lines.push(`Your saved searches will be replaced by the file's ${count} saved search${count === 1 ? '' : 'es'}`);
+      }
+      if (plan.updated.length) lines.push(`${plan.updated.length} will be updated`);
+      if (plan.conflicts.length) lines.push(`${plan.conflicts.length} differ from your version`);
+      if (plan.unchanged) lines.push(`${plan.unchanged} already up to date`);
+      if (plan.skipped) lines.push(`${plan.skipped} already saved and skipped`);
+      const summary = Migrations.summarize(plan.report);
+      if (summary) lines.push(`File ${summary}`);
+      previewEl.innerHTML = lines.map(line => `<p>${NotificationUI.escapeHtml(line)}</p>`).join('');
+
+      conflictsEl.style.display = plan.conflicts.length ? 'block' : 'none';
+      conflictList.innerHTML = plan.conflicts.map(conflict => `
+        <li data-observation-id="${NotificationUI.escapeHtml(conflict.observationId)}">
+          <div class="import-conflict-title">${NotificationUI.escapeHtml(conflict.title)}</div>
+          ${conflict.fields.map(f => `
+            <div class="import-conflict-field">
+              ${f.field}: mine ${NotificationUI.escapeHtml(formatValue(f.field, f.current))},
+              imported ${NotificationUI.escapeHtml(formatValue(f.field, f.incoming))}
+            </div>
+          `).join('')}
+          <select class="conflict-resolution">
+            <option value="">Use the rule above</option>
+            <option value="current">Keep mine</option>
+            <option value="incoming">Use imported</option>
+          </select>
+        </li>
+      `).join('');
+
+      confirmBtn.disabled = false;
+    } catch (error) {
+      previewEl.innerHTML = `<p class="import-error">${NotificationUI.escapeHtml(error.message)}</p>`;
+    }
+  };
+
+  modeSelect.addEventListener('change', renderPreview);
+
+  overlay.querySelector('#cancel-import').addEventListener('click', () => {
+    overlay.remove();
+  });
+
+  confirmBtn.addEventListener('click', async () => {
+    const mode = modeSelect.value;
+    if (mode === 'replace' && !confirm('Replace all your saved items with the imported ones?')) return;
+
+    const resolutions = {};
+    conflictList.querySelectorAll('li').forEach(li => {
+      const value = li.querySelector('.conflict-resolution').value;
+      if (value) resolutions[li.dataset.observationId] = value;
+    });
+
+    try {
+      const result = await browser.runtime.sendMessage({
+        action: 'importData',
+        jsonString,
+        options: {
+          mode,
+          resolution: overlay.querySelector('#import-resolution').value,
+          resolutions
+        }
+      });
+      overlay.remove();
+      loadItems();
+      showUndoToast(`Imported: ${result.added} added, ${result.updated} updated`, async () => {
+        try {
+          await browser.runtime.sendMessage({ action: 'undoImport' });
+          loadItems();
+        } catch (error) {
+          alert('Error: ' + error.message);
+        }
+      });
+    } catch (error) {
+      console.error('Import error:', error);
+      alert('Error importing data: ' + error.message);
+    }
+  });
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) overlay.remove();
+  });
+
+  renderPreview();
+}
+
+// Show export dialog: JSON backup, or Research items as CSV / Darwin Core
+// ids limits the export to those items (bulk "Export selected")
+// ids limits the export to a selection from the given panel; CSV and Darwin Core only cover Research
+function showExportDialog(ids = null, type = 'research') {
+  const scope = ids ? 'Selected research items' : 'Research items';
+  const tableFormats = type === 'research';
+  const overlay = document.createElement('div');
+  overlay.className = 'dialog-overlay';
+  overlay.innerHTML = `
+    <div class="dialog">
+      <h2>Export</h2>
+      <div class="form-group">
+        <label for="export-format">Format</label>
+        <select id="export-format">
+          <option value="json">${ids ? `JSON (${ids.length} selected item${ids.length === 1 ? '' : 's'})` : 'JSON backup (everything)'}</option>
+          ${tableFormats ? `
+            <option value="csv">${scope} as CSV</option>
+            <option value="dwc">${scope} as Darwin Core</option>
+          ` : ''}
+        </select>
+      </div>
+      <div id="export-table-options" style="display: none;">
+        <div id="export-filters" ${ids ? 'style="display: none;"' : ''}>
+          <div class="form-group">
+            <label for="export-query">Only items matching</label>
+            <input type="text" id="export-query" placeholder="Search..." value="${NotificationUI.escapeHtml(searchQuery)}">
+          </div>
+          ${savedLists.length ? `
+            <div class="form-group">
+              <label for="export-list">List</label>
+              <select id="export-list">
+                <option value="">All lists</option>
+                ${savedLists.map(list => `<option value="${NotificationUI.escapeHtml(list.id)}">${NotificationUI.escapeHtml(list.name)}</option>`).join('')}
+              </select>
+            </div>
+          ` : ''}
+          <div class="form-group" id="export-tags-group">
+            <label>Only items tagged with all of</label>
+            <div id="export-tags" class="checkbox-list"></div>
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Columns</label>
+          <div id="export-columns" class="checkbox-list"></div>
+        </div>
+        <p class="dialog-subtitle" id="export-count"></p>
+      </div>
+      <div class="dialog-buttons">
+        <button class="btn btn-small" id="cancel-export">Cancel</button>
+        <button class="btn btn-primary" id="confirm-export">Export</button>
+      </div>
+    </div>
+  `;
+
+  document.body.appendChild(overlay);
+
+  const formatSelect = overlay.querySelector('#export-format');
+  const queryInput = overlay.querySelector('#export-query');
+  const columnsEl = overlay.querySelector('#export-columns');
+  const countEl = overlay.querySelector('#export-count');
+  const listSelect = overlay.querySelector('#export-list');
+  const tagsEl = overlay.querySelector('#export-tags');
+
+  const getFilters = () => (ids ? { ids } : {
+    query: queryInput.value.trim(),
+    tags: Array.from(tagsEl.querySelectorAll('input:checked')).map(input => input.value),
+    listId: listSelect ? listSelect.value : ''
+  });
+
+  const renderTagOptions = async () => {
+    const tags = await browser.runtime.sendMessage({ action: 'getTags', type: 'research' });
+    overlay.querySelector('#export-tags-group').style.display = tags.length ? 'block' : 'none';
+    tagsEl.innerHTML = tags.map(tag => `
+      <label><input type="checkbox" value="${NotificationUI.escapeHtml(tag.name)}"> #${NotificationUI.escapeHtml(tag.name)} (${tag.count})</label>
+    `).join('');
+  };
+
+  const renderColumns = () => {
+    const format = formatSelect.value;
+    overlay.querySelector('#export-table-options').style.display = format === 'json' ? 'none' : 'block';
+    if (format === 'json') return;
+
+    columnsEl.innerHTML = Exporter.getColumns(format).map(column => `
+      <label><input type="checkbox" value="${column.key}" checked> ${NotificationUI.escapeHtml(column.label)}</label>
+    `).join('');
+    updateCount();
+  };
+
+  const updateCount = async () => {
+    const { query = '', tags, listId } = getFilters();
+    let items = await browser.runtime.sendMessage({
+      action: 'search',
+      query,
+      filters: { type: 'research', tags, listId }
+    });
+    if (ids) items = items.filter(item => ids.includes(item.id));
+    countEl.textContent = `${items.length} research item${items.length === 1 ? '' : 's'} will be exported`;
+  };
+
+  let debounceTimer;
+  queryInput.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(updateCount, 300);
+  });
+  formatSelect.addEventListener('change', renderColumns);
+  tagsEl.addEventListener('change', updateCount);
+  if (listSelect) listSelect.addEventListener('change', updateCount);
+  renderTagOptions();
+
+  overlay.querySelector('#cancel-export').addEventListener('click', () => {
+    overlay.remove();
+  });
+
+  overlay.querySelector('#confirm-export').addEventListener('click', async () => {
+    const format = formatSelect.value;
+    const date = new Date().toISOString().split('T')[0];
+
+    try {
+      if (format === 'json') {
+        const data = await browser.runtime.sendMessage({ action: 'exportData', ids });
+        const name = ids ? 'selection' : 'backup';
+        downloadFile(data, `inat-links-${name}-${date}.json`, 'application/json');
+      } else {
+        const columns = Array.from(columnsEl.querySelectorAll('input:checked')).map(input => input.value);
+        const result = await browser.runtime.sendMessage({
+          action: 'exportResearch',
+          format,
+          columns,
+          ...getFilters()
+        });
+        const suffix = format === 'dwc' ? 'dwc' : 'research';
+        downloadFile(result.content, `inat-links-${suffix}-${date}.csv`, 'text/csv');
+      }
+      overlay.remove();
+    } catch (error) {
+      console.error('Export error:', error);
+      alert('Error exporting data: ' + error.message);
+    }
+  });
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) overlay.remove();
+  });
+}
+
+// Save content as a file via a temporary link
+function downloadFile(content, filename, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+
+  URL.revokeObjectURL(url);
+}
+
 // Notifications panel setup
 function setupNotifications() {
   notifController = new NotificationController({
     onUpdate: () => {
       updateBadges();
-      updatePaginationUI();
       renderNotifications();
     },
-    onError: (type) => {
+    onError: (type, error) => {
       if (type === 'auth') {
         showLoginPrompt();
+      } else if (type === 'readState') {
+        alert('Could not update read state: ' + error.message);
       }
     }
   });
 
-  // Type tabs
+  // Type tabs (start on the configured default)
+  notifCurrentType = settings.defaultNotificationTab;
+  document.querySelectorAll('.notif-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.type === notifCurrentType);
+  });
+
   document.querySelectorAll('.notif-tab').forEach(tab => {
     tab.addEventListener('click', () => {
       document.querySelector('.notif-tab.active').classList.remove('active');
       tab.classList.add('active');
       notifCurrentType = tab.dataset.type;
+      notifPage = 1;
       renderNotifications();
     });
   });
 
+  // Mark all read in the current type tab
+  document.getElementById('notif-mark-all-read').addEventListener('click', () => {
+    notifController.markAllRead(notifCurrentType);
+  });
+
   // Pagination
   document.getElementById('notif-prev').addEventListener('click', () => {
     if (notifPage > 1) {
       notifPage--;
-      loadNotifications();
+      renderNotifications();
     }
   });
 
-  document.getElementById('notif-next').addEventListener('click', () => {
-    if (notifPage < notifController.totalPages) {
+  document.getElementById('notif-next').addEventListener('click', async () => {
+    if (notifPage < getNotifTotalPages()) {
+      notifPage++;
+      renderNotifications();
+    } else if (notifController.hasMore) {
+      // Past the end of the cache - have the background fetch older notifications
       notifPage++;
-      loadNotifications();
+      await notifController.loadMore();
     }
   });
 }
 
 async function loadNotifications() {
-  const list = document.getElementById('notifications-list');
-  list.innerHTML = '<div class="notif-loading">Loading notifications...</div>';
-  await notifController.load({ page: notifPage, perPage: 50 });
+  if (notifController.store.size === 0) {
+    const list = document.getElementById('notifications-list');
+    list.innerHTML = '<div class="notif-loading">Loading notifications...</div>';
+  }
+  await notifController.load();
 }
 
 function showLoginPrompt() {
@@ -479,18 +1692,31 @@ function updateBadges() {
   });
 }
 
+// Pages of the current category held in the notification cache
+function getNotifTotalPages() {
+  const count = notifController.store.getByCategory(notifCurrentType).length;
+  return Math.ceil(count / settings.sidebarPageSize) || 1;
+}
+
 function updatePaginationUI() {
-  const totalPages = notifController.totalPages;
-  document.getElementById('notif-page-info').textContent = `Page ${notifPage} of ${totalPages}`;
+  const totalPages = getNotifTotalPages();
+  notifPage = Math.min(notifPage, totalPages);
+  const more = notifController.hasMore ? '+' : '';
+  document.getElementById('notif-page-info').textContent = `Page ${notifPage} of ${totalPages}${more}`;
   document.getElementById('notif-prev').disabled = notifPage <= 1;
-  document.getElementById('notif-next').disabled = notifPage >= totalPages;
+  document.getElementById('notif-next').disabled = notifPage >= totalPages && !notifController.hasMore;
 }
 
 function renderNotifications() {
   const list = document.getElementById('notifications-list');
+  updatePaginationUI();
 
-  // Get filtered notifications from store
-  const filtered = notifController.store.getByCategory(notifCurrentType);
+  const hasUnread = notifController.store.getByCategory(notifCurrentType).some(n => n.viewed !== true);
+  document.getElementById('notif-mark-all-read').disabled = !hasUnread;
+
+  // Get the current page of filtered notifications from store
+  const start = (notifPage - 1) * settings.sidebarPageSize;
+  const filtered = notifController.store.getByCategory(notifCurrentType).slice(start, start + settings.sidebarPageSize);
 
   if (filtered.length === 0) {
     list.innerHTML = '<div class="notif-empty">No notifications</div>';
@@ -499,12 +1725,14 @@ function renderNotifications() {
 
   list.innerHTML = filtered.map(n => NotificationUI.renderItem(n)).join('');
 
-  // Attach click handlers
-  list.querySelectorAll('.inat-ext-notification').forEach(el => {
-    el.addEventListener('click', () => {
-      handleNotificationClick(el.dataset.url);
-    });
+  // Click marks read and opens; the dot toggles read state
+  NotificationUI.attachReadHandlers(list, notifController, (n, el) => {
+    handleNotificationClick(el.dataset.url);
   });
+
+  // Inline replies (the sidebar can't renew an expired sign-in, so it asks the user to)
+  NotificationUI.attachReplyHandlers(list, notifController, { rerender: renderNotifications });
+  NotificationUI.attachIdentifyHandlers(list, notifController, { rerender: renderNotifications });
 }
 
 async function handleNotificationClick(url) {
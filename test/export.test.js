@@ -0,0 +1,22 @@
+// CSV and Darwin Core export
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const { Exporter } = loadScripts(['lib/export.js'], {}, ['Exporter']);
+
+test('values that spreadsheets would run as formulas are prefixed', () => {
+  assert.equal(Exporter.escapeCsv('=HYPERLINK("http://example.com")'), '"\'=HYPERLINK(""http://example.com"")"');
+  assert.equal(Exporter.escapeCsv('+1 more'), '\'+1 more');
+  assert.equal(Exporter.escapeCsv('-see note'), '\'-see note');
+  assert.equal(Exporter.escapeCsv('@someone'), '\'@someone');
+});
+
+test('numbers and ordinary text are written as they are', () => {
+  assert.equal(Exporter.escapeCsv(-33.86), '-33.86');
+  assert.equal(Exporter.escapeCsv('-33.86'), '-33.86');
+  assert.equal(Exporter.escapeCsv('Quercus robur'), 'Quercus robur');
+  assert.equal(Exporter.escapeCsv('a, b'), '"a, b"');
+  assert.equal(Exporter.escapeCsv(null), '');
+});
@@ -0,0 +1,66 @@
+// Shared test helpers: an in-memory browser.storage and a loader for the extension's
+// global-style scripts
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Yield a few macrotasks so concurrent reads and writes really interleave
+function tick(n = 1) {
+  return new Promise(resolve => setTimeout(resolve, n));
+}
+
+// browser.storage.local backed by a Map; values are copied in and out like the real one
+function createFakeBrowser() {
+  const area = new Map();
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  let delay = 0;
+
+  return {
+    area,
+    storage: {
+      local: {
+        async get(keys) {
+          await tick(1 + (delay++ % 3));
+          const result = {};
+          for (const key of [].concat(keys)) {
+            if (area.has(key)) result[key] = copy(area.get(key));
+          }
+          return result;
+        },
+        async set(items) {
+          await tick(1 + (delay++ % 3));
+          for (const [key, value] of Object.entries(items)) {
+            area.set(key, copy(value));
+          }
+        },
+        async remove(keys) {
+          for (const key of [].concat(keys)) area.delete(key);
+        }
+      },
+      onChanged: { addListener() {} }
+    }
+  };
+}
+
+// Run scripts (paths from the repo root) in one shared global scope, as the manifest does,
+// and return the named globals they define
+function loadScripts(files, globals, names) {
+  const context = vm.createContext({ console, setTimeout, clearTimeout, URL, URLSearchParams, ...globals });
+  context.window = context;
+  for (const file of files) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+  return Object.fromEntries(names.map(name => [name, vm.runInContext(name, context)]));
+}
+
+// Background scripts listed in the manifest before the given one (its dependencies)
+function backgroundScriptsUpTo(file) {
+  const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+  const scripts = manifest.background.scripts;
+  return scripts.slice(0, scripts.indexOf(file) + 1);
+}
+
+module.exports = { tick, createFakeBrowser, loadScripts, backgroundScriptsUpTo };
@@ -0,0 +1,81 @@
+// Importing backups: data from a file must be safe to render before it is stored
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser, loadScripts, backgroundScriptsUpTo } = require('./helpers');
+
+const HOSTILE_ID = 'x" onmouseover="alert(1)';
+
+let browser;
+let Storage;
+let Migrations;
+
+beforeEach(() => {
+  browser = createFakeBrowser();
+  ({ Storage, Migrations } = loadScripts(backgroundScriptsUpTo('lib/storage.js'), { browser }, ['Storage', 'Migrations']));
+});
+
+function backup(items, lists = []) {
+  return JSON.stringify({ version: Migrations.CURRENT_VERSION, items, lists });
+}
+
+function item(observationId, extra = {}) {
+  return {
+    id: `item-${observationId}`,
+    type: 'research',
+    url: `https://www.inaturalist.org/observations/${observationId}`,
+    observationId: String(observationId),
+    note: '',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    tags: [],
+    lists: [],
+    ...extra
+  };
+}
+
+async function storedData() {
+  return browser.area.get(Storage.STORAGE_KEY);
+}
+
+for (const mode of ['merge', 'append', 'replace']) {
+  test(`${mode} import replaces ids that aren't plain tokens`, async () => {
+    await Storage.addResearch('https://www.inaturalist.org/observations/1');
+
+    await Storage.importData(backup(
+      [item(2, { id: HOSTILE_ID, lists: [HOSTILE_ID] })],
+      [{ id: HOSTILE_ID, name: 'Sneaky' }]
+    ), { mode });
+
+    const data = await storedData();
+    const imported = data.items.find(i => i.observationId === '2');
+    assert.ok(imported, 'the item itself is still imported');
+    assert.match(imported.id, Migrations.ID_PATTERN);
+    assert.deepEqual(imported.lists, []);
+    assert.ok(data.lists.every(list => Migrations.ID_PATTERN.test(list.id)));
+  });
+}
+
+test('import drops thumbnails that are not http(s) URLs', async () => {
+  await Storage.importData(backup([
+    item(3, { thumbnailUrl: 'javascript:alert(1)' }),
+    item(4, { thumbnailUrl: 'https://static.inaturalist.org/photos/4/square.jpg' })
+  ]), { mode: 'merge' });
+
+  const data = await storedData();
+  const byObservation = Object.fromEntries(data.items.map(i => [i.observationId, i.thumbnailUrl]));
+  assert.deepEqual(byObservation, {
+    3: null,
+    4: 'https://static.inaturalist.org/photos/4/square.jpg'
+  });
+});
+
+test('replace import swaps in the saved searches from the file', async () => {
+  await Storage.saveSearch('Mine', 'tag:mine');
+
+  const file = JSON.parse(backup([item(5)]));
+  file.savedSearches = [{ id: 'search-1', name: 'Imported', query: 'tag:imported', createdAt: '2026-01-01T00:00:00.000Z' }];
+  await Storage.importData(JSON.stringify(file), { mode: 'replace' });
+
+  const data = await storedData();
+  assert.deepEqual(data.savedSearches.map(search => search.name), ['Imported']);
+});
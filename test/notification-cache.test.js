@@ -0,0 +1,73 @@
+// Notification read state: marking read locally and surviving later syncs
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser, loadScripts } = require('./helpers');
+
+let browser;
+let markedViewed;
+let NotificationCache;
+let Notifications;
+
+beforeEach(() => {
+  browser = createFakeBrowser();
+  markedViewed = [];
+  const NotificationsAPI = {
+    async markViewed(observationId) {
+      markedViewed.push(observationId);
+      return true;
+    }
+  };
+  ({ NotificationCache, Notifications } = loadScripts(
+    ['lib/notifications.js', 'lib/notification-cache.js'],
+    { browser, NotificationsAPI },
+    ['NotificationCache', 'Notifications']
+  ));
+});
+
+function notification(id, observationId, extra = {}) {
+  return NotificationCache.serialize(Notifications.createNotification({
+    id,
+    source: 'html',
+    category: 'mention',
+    viewed: false,
+    createdAt: '2026-01-01T00:00:00Z',
+    observationId,
+    user: { login: 'someone' },
+    ...extra
+  }));
+}
+
+async function seed(notifications) {
+  const state = await NotificationCache.getState();
+  state.notifications = notifications;
+  await NotificationCache.saveState(state);
+}
+
+test('marking one notification read leaves others on the same observation alone', async () => {
+  await seed([notification('a', '100'), notification('b', '100', { user: { login: 'other' } })]);
+
+  const result = await NotificationCache.markRead(['a']);
+
+  assert.deepEqual(markedViewed, ['100']);
+  const byId = Object.fromEntries(result.notifications.map(n => [n.id, n.viewed]));
+  assert.deepEqual(byId, { a: true, b: false });
+});
+
+test('a mention iNat cannot be told about stays read after a sync reports it unread', async () => {
+  await seed([notification('m', 'comment_55')]);
+
+  const result = await NotificationCache.markRead(['m']);
+  assert.deepEqual(markedViewed, []);
+  assert.equal(result.notifications[0].viewed, true);
+
+  // The next sync fetches the same mention, still unread on iNat
+  const store = NotificationCache.toStore(await NotificationCache.getState());
+  store.add([Notifications.createNotification(notification('m', 'comment_55'))], { refresh: true });
+  assert.equal(store.getAll()[0].viewed, true);
+
+  // Marking it unread again lets iNat's state through once more
+  await NotificationCache.markUnread(['m']);
+  const state = await NotificationCache.getState();
+  assert.equal(state.notifications[0].keptRead, false);
+});
@@ -0,0 +1,60 @@
+// Storage item mutations that only apply to some item types
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser, loadScripts, backgroundScriptsUpTo } = require('./helpers');
+
+const observationUrl = id => `https://www.inaturalist.org/observations/${id}`;
+
+let browser;
+let Storage;
+
+beforeEach(() => {
+  browser = createFakeBrowser();
+  ({ Storage } = loadScripts(backgroundScriptsUpTo('lib/storage.js'), { browser }, ['Storage']));
+});
+
+async function storedItem(id) {
+  return browser.area.get(Storage.STORAGE_KEY).items.find(item => item.id === id);
+}
+
+test('reopen only applies to TODOs', async () => {
+  const todo = await Storage.addTodo(observationUrl(1));
+  const research = await Storage.addResearch(observationUrl(2));
+
+  await Storage.markComplete(todo.id);
+  await Storage.reopen(todo.id);
+  assert.equal((await storedItem(todo.id)).completed, false);
+
+  await assert.rejects(Storage.reopen(research.id), /Only TODO items/);
+  const stored = await storedItem(research.id);
+  assert.equal(stored.completed, undefined);
+  assert.equal(stored.completedAt, undefined);
+});
+
+test('bulk reopen skips Research items', async () => {
+  const todo = await Storage.addTodo(observationUrl(1));
+  const research = await Storage.addResearch(observationUrl(2));
+  await Storage.markComplete(todo.id);
+
+  const reopened = await Storage.reopenItems([todo.id, research.id]);
+  assert.deepEqual(reopened.map(item => item.id), [todo.id]);
+  assert.equal((await storedItem(research.id)).completed, undefined);
+});
+
+test('due dates and priorities are only set on TODOs', async () => {
+  const todo = await Storage.addTodo(observationUrl(1));
+  const research = await Storage.addResearch(observationUrl(2));
+
+  await Storage.updateItem(todo.id, { dueDate: '2026-03-01', priority: 'high' });
+  await Storage.updateItem(research.id, { dueDate: '2026-03-01', priority: 'high', note: 'kept' });
+
+  const storedTodo = await storedItem(todo.id);
+  assert.equal(storedTodo.dueDate, '2026-03-01');
+  assert.equal(storedTodo.priority, 'high');
+
+  const storedResearch = await storedItem(research.id);
+  assert.equal(storedResearch.dueDate, undefined);
+  assert.equal(storedResearch.priority, undefined);
+  assert.equal(storedResearch.note, 'kept');
+});
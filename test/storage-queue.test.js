@@ -0,0 +1,109 @@
+// Storage transaction queue: concurrent mutations against an in-memory browser.storage.local
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeBrowser, loadScripts, backgroundScriptsUpTo } = require('./helpers');
+
+const observationUrl = id => `https://www.inaturalist.org/observations/${id}`;
+
+
+let browser;
+let Storage;
+
+beforeEach(() => {
+  browser = createFakeBrowser();
+  ({ Storage } = loadScripts(backgroundScriptsUpTo('lib/storage.js'), { browser }, ['Storage']));
+});
+
+async function storedData() {
+  return browser.area.get(Storage.STORAGE_KEY);
+}
+
+test('the fake storage loses writes when read-modify-writes are not queued', async () => {
+  await Storage.addTodo(observationUrl(1));
+
+  // The pattern every Storage method used before the queue
+  const unqueuedAdd = async (id) => {
+    const data = await Storage.readData();
+    data.items.push({ id: String(id), type: 'todo', url: observationUrl(id), observationId: String(id) });
+    await browser.storage.local.set({ [Storage.STORAGE_KEY]: data });
+  };
+  await Promise.all([2, 3, 4, 5].map(unqueuedAdd));
+
+  const data = await storedData();
+  assert.ok(data.items.length < 5, 'expected the race to drop some items');
+});
+
+test('concurrent addTodo calls all land', async () => {
+  const ids = Array.from({ length: 20 }, (_, i) => 100 + i);
+  await Promise.all(ids.map(id => Storage.addTodo(observationUrl(id), `note ${id}`)));
+
+  const data = await storedData();
+  assert.deepEqual(
+    data.items.map(item => item.observationId).sort(),
+    ids.map(String).sort()
+  );
+  assert.equal(data.revision, ids.length);
+});
+
+test('interleaved addTodo, updateNote and deleteItem lose nothing', async () => {
+  const existing = [];
+  for (const id of [1, 2, 3, 4, 5, 6]) {
+    existing.push(await Storage.addTodo(observationUrl(id)));
+  }
+
+  const [a, b, c, d, e, f] = existing;
+  await Promise.all([
+    Storage.updateNote(a.id, 'first'),
+    Storage.addTodo(observationUrl(7), 'new'),
+    Storage.deleteItem(b.id),
+    Storage.updateNote(c.id, 'second'),
+    Storage.addTodo(observationUrl(8)),
+    Storage.deleteItem(d.id),
+    Storage.updateNote(a.id, 'first, edited'),
+    Storage.addTodo(observationUrl(9)).then(item => Storage.updateNote(item.id, 'added then edited')),
+    Storage.deleteItem(e.id),
+    Storage.updateNote(f.id, 'third')
+  ]);
+
+  const data = await storedData();
+  const notes = Object.fromEntries(data.items.map(item => [item.observationId, item.note]));
+  assert.deepEqual(notes, {
+    1: 'first, edited',
+    3: 'second',
+    6: 'third',
+    7: 'new',
+    8: '',
+    9: 'added then edited'
+  });
+  // 6 setup adds plus 11 mutations, each its own transaction
+  assert.equal(data.revision, 17);
+});
+
+test('a failed transaction saves nothing and does not block later ones', async () => {
+  const item = await Storage.addTodo(observationUrl(1));
+
+  const results = await Promise.allSettled([
+    Storage.addTodo(observationUrl(1)),
+    Storage.updateNote('missing', 'nope'),
+    Storage.updateNote(item.id, 'kept')
+  ]);
+
+  assert.deepEqual(results.map(r => r.status), ['rejected', 'rejected', 'fulfilled']);
+  const data = await storedData();
+  assert.equal(data.items.length, 1);
+  assert.equal(data.items[0].note, 'kept');
+  assert.equal(data.revision, 2);
+});
+
+test('two quick saves of the same observation add it once', async () => {
+  const results = await Promise.all([
+    Storage.saveOrAppendNote('todo', observationUrl(1), 'first'),
+    Storage.saveOrAppendNote('todo', observationUrl(1), 'second')
+  ]);
+
+  assert.deepEqual(results.map(r => r.added), [true, false]);
+  const data = await storedData();
+  assert.equal(data.items.length, 1);
+  assert.equal(data.items[0].note, 'first\n\nsecond');
+});